@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/*
+ * build_archive.js
+ * ----------------
+ * Writes a static page for every past answer and every month of answers,
+ * straight from answers.txt:
+ *
+ *   word/CRANE/index.html     every date and puzzle number CRANE was the
+ *                             answer, its letter facts, and similar past
+ *                             answers (one letter off, or the same letters)
+ *   archive/2025-10/index.html  each day's answer that month, in order
+ *   archive/index.html        every month, newest first
+ *
+ * Only days up to the safe word (meta.wordle_date − 2) are published — the
+ * same window the homepage list uses — so no page can show an answer someone
+ * is still playing. answers.txt already stops there; the cutoff is applied
+ * again here so a history that ran ahead can't leak through.
+ *
+ * Pages are rebuilt whole on every run and only written when they change.
+ * A word or month page whose answer is gone from the history is deleted.
+ * Figures that drift with every new answer (letter frequencies and the like)
+ * are left to the stats page, so a normal day touches only the new answer's
+ * page, its neighbours and its month.
+ *
+ * This file only reads local data — it never hits the network. The daily
+ * cron (update_wordle.js) calls build(); build_sitemap.js then finds the
+ * pages on disk like any other.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { parseAnswers, shiftDate } = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+const SITE = 'https://wordlelist.com';
+const VOWELS = 'AEIOU';
+const COLORS = ['c-green', 'c-yellow', 'c-light'];
+const MAX_SIMILAR = 12;
+
+/* ── dates ── */
+
+function formatDate(ymd, opts = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }) {
+    return new Date(`${ymd}T00:00:00Z`).toLocaleDateString('en-US', Object.assign({ timeZone: 'UTC' }, opts));
+}
+
+/* last YYYY-MM-DD of a YYYY-MM month */
+function monthEnd(ym) {
+    const [y, m] = ym.split('-').map(Number);
+    return new Date(Date.UTC(y, m, 0)).toISOString().split('T')[0];
+}
+
+const shortDate = ymd => formatDate(ymd, { month: 'short', day: 'numeric', year: 'numeric' });
+const monthName = ym => formatDate(`${ym}-01`, { month: 'long', year: 'numeric' });
+const fmt = n => n.toLocaleString('en-US');
+
+/* ["A","B","C"] -> "A, B and C" */
+function andList(items) {
+    return items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/* ── data ── */
+
+/* Published answers as { days, words, months, cutoff }:
+ *   days    one entry per answers.txt line, oldest first, each
+ *           { word, num, suffix, date, repeat, partner, first } — partner
+ *           is the other word of a mid-day a/b pair, first the word's
+ *           earliest day when this one is a repeat
+ *   words   WORD -> its days, oldest first
+ *   months  YYYY-MM -> its days, oldest first */
+function collect(repoDir = REPO_DIR) {
+    const lines = fs.readFileSync(path.join(repoDir, 'answers.txt'), 'utf-8').split('\n');
+    const { entries } = parseAnswers(lines);
+
+    let cutoff = null;
+    try {
+        const wordleDate = JSON.parse(fs.readFileSync(path.join(repoDir, 'meta.json'), 'utf-8')).wordle_date;
+        if (wordleDate) cutoff = shiftDate(wordleDate, -2);
+    } catch (_) { }
+
+    const days = entries
+        .filter(e => !cutoff || e.date <= cutoff)
+        .sort((a, b) => a.num - b.num || a.suffix.localeCompare(b.suffix))
+        .map(e => ({ word: e.word, num: e.num, suffix: e.suffix, date: e.date, repeat: e.repeat, partner: null, first: null }));
+
+    const words = {}, months = {}, byNum = {};
+    days.forEach(d => {
+        if (words[d.word]) d.first = words[d.word][0];
+        (words[d.word] = words[d.word] || []).push(d);
+        (months[d.date.slice(0, 7)] = months[d.date.slice(0, 7)] || []).push(d);
+        (byNum[d.num] = byNum[d.num] || []).push(d);
+    });
+    Object.keys(byNum).forEach(n => {
+        const pair = byNum[n];
+        if (pair.length === 2) { pair[0].partner = pair[1].word; pair[1].partner = pair[0].word; }
+    });
+    return { days, words, months, cutoff: cutoff || (days.length ? days[days.length - 1].date : null) };
+}
+
+/* the puzzle's answer as players finished it: the b word on an a/b day */
+function answerOf(days) {
+    return days.find(d => d.suffix !== 'a') || days[0];
+}
+
+/* how the day's row should be annotated */
+function dayNote(d) {
+    if (d.suffix === 'a') return `replaced mid-day by <a href="/word/${d.partner}/">${d.partner}</a>`;
+    if (d.suffix === 'b') return `changed mid-day from <a href="/word/${d.partner}/">${d.partner}</a>`;
+    if (d.first) return `repeat — first played <a href="/archive/${d.first.date.slice(0, 7)}/">#${fmt(d.first.num)}</a>`;
+    return d.repeat ? 'played again later' : '';
+}
+
+/* ── word facts ── */
+
+function letterFacts(word) {
+    const facts = [];
+    const vowels = word.split('').filter(l => VOWELS.includes(l));
+    facts.push(vowels.length
+        ? `${vowels.length} vowel${vowels.length > 1 ? 's' : ''} (${andList([...new Set(vowels)])}) and ${5 - vowels.length} consonant${5 - vowels.length === 1 ? '' : 's'}`
+        : `no vowels at all${word.includes('Y') ? ' — Y does the work' : ''}`);
+
+    const counts = {};
+    for (const l of word) counts[l] = (counts[l] || 0) + 1;
+    const repeated = Object.keys(counts).filter(l => counts[l] > 1);
+    if (!repeated.length) {
+        facts.push('five different letters — no repeats');
+    } else {
+        const adjacent = repeated.filter(l => word.includes(l + l));
+        facts.push(`repeated letter${repeated.length > 1 ? 's' : ''}: ${andList(repeated.map(l =>
+            `${l}${counts[l] > 2 ? ` (×${counts[l]})` : ''}${adjacent.includes(l) ? ` — a double ${l}${l}` : ''}`))}`);
+    }
+
+    const sorted = word.split('').sort().join('');
+    if (sorted === word) facts.push('its letters are in alphabetical order');
+    else if (sorted.split('').reverse().join('') === word) facts.push('its letters are in reverse alphabetical order');
+    return facts;
+}
+
+/* past answers one letter away (same other four spots), then anagrams */
+function similarWords(word, allWords) {
+    const sorted = word.split('').sort().join('');
+    const oneOff = [], anagrams = [];
+    allWords.forEach(w => {
+        if (w === word) return;
+        let diff = 0;
+        for (let i = 0; i < 5 && diff < 2; i++) if (w[i] !== word[i]) diff++;
+        if (diff === 1) oneOff.push(w);
+        else if (w.split('').sort().join('') === sorted) anagrams.push(w);
+    });
+    return { oneOff: oneOff.slice(0, MAX_SIMILAR), anagrams: anagrams.slice(0, MAX_SIMILAR) };
+}
+
+/* ── page shell ── */
+
+const STYLE = `
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        html { overflow-x: clip; max-width: 100%; }
+        body {
+            background-color: #121213;
+            color: #d7dadc;
+            font-family: 'Segoe UI', system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
+            min-height: 100vh;
+            padding: 1.25rem 1.5rem 1.5rem;
+        }
+        .container { width: 100%; max-width: 720px; margin: 0 auto; }
+
+        /* ─── Header ─── */
+        header { text-align: center; margin-bottom: 2rem; padding-bottom: 1.5rem; border-bottom: 1px solid #3a3a3c; }
+        h1 { font-weight: 800; letter-spacing: 0.22em; text-transform: uppercase; margin-bottom: 0.4rem; line-height: 1.2; }
+        .title-wordle { display: block; font-size: clamp(2rem, 6vw, 2.8rem); padding-left: 0.22em; }
+        .title-sub { display: block; font-size: clamp(1rem, 2.8vw, 1.4rem); letter-spacing: 0.32em; color: #ffffff; margin-top: 0.2em; padding-left: 0.32em; }
+        .c-green  { color: #538d4e; }
+        .c-yellow { color: #c9b458; }
+        .c-light  { color: #d7dadc; }
+        .subtitle { color: #818384; font-size: 0.88rem; letter-spacing: 0.04em; }
+        .subtitle span { color: #d7dadc; font-weight: 600; }
+        .nav-links { margin-top: 0.9rem; display: flex; justify-content: center; gap: 0.6rem; flex-wrap: wrap; }
+        .nav-links a {
+            color: #818384; font-size: 0.82rem; letter-spacing: 0.05em; text-decoration: none;
+            border: 1px solid #3a3a3c; border-radius: 8px; padding: 0.4rem 0.9rem;
+            transition: border-color 0.2s ease, color 0.2s ease;
+        }
+        .nav-links a:hover { border-color: #538d4e; color: #d7dadc; }
+
+        /* ─── Sections ─── */
+        section { margin-bottom: 2.2rem; }
+        h2 { color: #d7dadc; font-size: 1.15rem; font-weight: 700; letter-spacing: 0.04em; margin-bottom: 0.7rem; }
+        section > p, section li { color: #818384; font-size: 0.9rem; line-height: 1.7; }
+        section > p { margin-bottom: 0.7rem; }
+        section ul { padding-left: 1.2rem; }
+        section strong { color: #d7dadc; }
+        a { color: #538d4e; }
+        a:hover { color: #d7dadc; }
+        .word-links a { font-weight: 700; letter-spacing: 0.1em; text-decoration: none; margin-right: 0.6rem; line-height: 2; }
+
+        /* ─── Tables ─── */
+        .table-wrap { overflow-x: auto; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.88rem; background: #1a1a1b; border: 1px solid #3a3a3c; }
+        th, td { padding: 0.55rem 0.75rem; text-align: left; border-bottom: 1px solid #2a2a2c; white-space: nowrap; }
+        th { color: #818384; font-size: 0.72rem; font-weight: 700; letter-spacing: 0.12em; text-transform: uppercase; background: #161617; }
+        tr:last-child td { border-bottom: none; }
+        td.num, td.note { color: #818384; }
+        td.word-cell a { font-weight: 800; letter-spacing: 0.13em; color: #d7dadc; text-decoration: none; }
+        td.word-cell a:hover { color: #538d4e; }
+
+        /* ─── Prev / next ─── */
+        .pager { display: flex; justify-content: space-between; gap: 1rem; font-size: 0.85rem; margin-bottom: 2rem; }
+        .pager a { text-decoration: none; }
+
+        footer { text-align: center; margin-top: 2rem; padding-top: 1.2rem; border-top: 1px solid #3a3a3c; color: #818384; font-size: 0.78rem; letter-spacing: 0.06em; }
+        footer a { color: #818384; }
+        footer a:hover { color: #d7dadc; }
+`;
+
+const FOOTER = '<footer><a href="/">all past answers</a> · <a href="/archive/">answers by month</a> · ' +
+    '<a href="/hint/">today\'s hint</a> · <a href="/solver/">helper</a> · <a href="/stats/">stats &amp; facts</a> · wordlelist.com</footer>';
+
+function page({ url, title, description, heading, sub, subtitle, nav, body }) {
+    const ld = {
+        '@context': 'https://schema.org',
+        '@type': 'WebPage',
+        name: title,
+        url: SITE + url,
+        description,
+        isPartOf: { '@type': 'WebSite', name: 'Past Wordle Answers', url: `${SITE}/` }
+    };
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+
+    <!-- Generated by build_archive.js from answers.txt — edit the template there, not this file -->
+    <meta name="description" content="${description}">
+    <link rel="icon" href="/favicon.ico" sizes="any">
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg">
+    <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32.png">
+    <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
+    <meta name="robots" content="index, follow">
+    <link rel="canonical" href="${SITE}${url}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:image" content="${SITE}/og-image.png">
+    <meta property="og:url" content="${SITE}${url}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="Wordlelist">
+    <script type="application/ld+json">
+    ${JSON.stringify(ld, null, 4).replace(/\n/g, '\n    ')}
+    </script>
+
+    <style>${STYLE}    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>
+                <span class="title-wordle">${heading}</span>
+                <span class="title-sub">${sub}</span>
+            </h1>
+            <p class="subtitle">${subtitle}</p>
+            <nav class="nav-links">
+                ${nav.join('\n                ')}
+            </nav>
+        </header>
+${body}
+        ${FOOTER}
+    </div>
+<!-- Cloudflare Web Analytics --><script defer src='https://static.cloudflareinsights.com/beacon.min.js' data-cf-beacon='{"token": "46707338e53242e685de97acc0026ce1"}'></script><!-- End Cloudflare Web Analytics -->
+</body>
+</html>
+`;
+}
+
+/* word in the homepage's green / yellow / white title letters */
+function colored(word) {
+    return word.split('').map((l, i) => `<span class="${COLORS[i % 3]}">${l}</span>`).join('');
+}
+
+function table(head, rows) {
+    return `            <div class="table-wrap">
+                <table>
+                    <thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+                    <tbody>
+${rows.map(r => `                        <tr>${r}</tr>`).join('\n')}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+const wordLink = w => `<a href="/word/${w}/">${w}</a>`;
+
+/* ── pages ── */
+
+function wordPage(word, data, allWords) {
+    const plays = data.words[word];
+    const latest = plays[plays.length - 1];
+    const when = andList(plays.map(p => `${formatDate(p.date)} (#${fmt(p.num)})`));
+    const onlyReplaced = plays.every(p => p.suffix === 'a');
+    const lead = onlyReplaced
+        ? `<strong>${word}</strong> was briefly the Wordle answer on ${when}, before NYT replaced it mid-day.`
+        : `<strong>${word}</strong> was the Wordle answer on ${when}.`;
+
+    const rows = plays.slice().reverse().map(p => {
+        const ym = p.date.slice(0, 7);
+        return `<td>${formatDate(p.date)}</td><td class="num"><a href="/archive/${ym}/">#${fmt(p.num)}</a></td><td class="note">${dayNote(p)}</td>`;
+    });
+
+    const sim = similarWords(word, allWords);
+    const similar = [];
+    if (sim.oneOff.length) similar.push(`            <p>One letter different:</p>\n            <p class="word-links">${sim.oneOff.map(wordLink).join(' ')}</p>`);
+    if (sim.anagrams.length) similar.push(`            <p>Same letters, different order:</p>\n            <p class="word-links">${sim.anagrams.map(wordLink).join(' ')}</p>`);
+    if (!similar.length) similar.push(`            <p>No other past answer is one letter away from ${word} or uses the same letters.</p>`);
+
+    /* neighbouring puzzles, by the latest time this word was played */
+    const idx = data.days.indexOf(latest);
+    const prev = data.days.slice(0, idx).reverse().find(d => d.num < latest.num);
+    const next = data.days.slice(idx + 1).find(d => d.num > latest.num);
+    const pick = d => d && answerOf(data.days.filter(x => x.num === d.num));
+    const before = pick(prev), after = pick(next);
+
+    const body = `
+        <p class="pager">
+            <span>${before ? `← <a href="/word/${before.word}/">${before.word}</a> #${fmt(before.num)}` : ''}</span>
+            <span>${after ? `#${fmt(after.num)} <a href="/word/${after.word}/">${after.word}</a> →` : ''}</span>
+        </p>
+
+        <section>
+            <h2>When ${word} Was the Answer</h2>
+            <p>${lead}${plays.length > 1 ? ` It is one of the rare words Wordle has used more than once.` : ''}</p>
+${table(['Date', 'Puzzle', ''], rows)}
+        </section>
+
+        <section>
+            <h2>Letter Facts</h2>
+            <ul>
+${letterFacts(word).map(f => `                <li>${f.charAt(0).toUpperCase() + f.slice(1)}</li>`).join('\n')}
+            </ul>
+        </section>
+
+        <section>
+            <h2>Similar Past Answers</h2>
+${similar.join('\n')}
+            <p>Check any other word against the <a href="/">full list of past answers</a>, or see <a href="/archive/${latest.date.slice(0, 7)}/">every answer from ${monthName(latest.date.slice(0, 7))}</a>.</p>
+        </section>
+`;
+    return page({
+        url: `/word/${word}/`,
+        title: `${word} – Wordle Answer ${plays.map(p => `#${p.num}`).join(' &amp; ')} (${plays.map(p => shortDate(p.date)).join(', ')})`,
+        description: `${word} was the Wordle answer on ${plays.map(p => `${shortDate(p.date)} (#${p.num})`).join(' and ')}. Every date it was played, its letter facts and similar past answers.`,
+        heading: colored(word),
+        sub: 'PAST ANSWER',
+        subtitle: `played <span>${plays.length === 1 ? 'once' : plays.length === 2 ? 'twice' : `${plays.length} times`}</span> · last on ${shortDate(latest.date)}`,
+        nav: ['<a href="/">← All past answers</a>', `<a href="/archive/${latest.date.slice(0, 7)}/">${monthName(latest.date.slice(0, 7))}</a>`],
+        body
+    });
+}
+
+function monthPage(ym, data, monthKeys) {
+    const days = data.months[ym];
+    const i = monthKeys.indexOf(ym);
+    const older = monthKeys[i - 1], newer = monthKeys[i + 1];
+    const repeats = days.filter(d => d.first && d.suffix !== 'a').length;
+    const last = days[days.length - 1].date;
+    const partial = !newer && last < monthEnd(ym);
+
+    const rows = days.map(d =>
+        `<td>${formatDate(d.date, { weekday: 'short', month: 'short', day: 'numeric' })}</td>` +
+        `<td class="num">#${fmt(d.num)}${d.suffix}</td><td class="word-cell">${wordLink(d.word)}</td><td class="note">${dayNote(d)}</td>`);
+    const puzzles = new Set(days.map(d => d.num)).size;
+
+    const body = `
+        <p class="pager">
+            <span>${older ? `← <a href="/archive/${older}/">${monthName(older)}</a>` : ''}</span>
+            <span>${newer ? `<a href="/archive/${newer}/">${monthName(newer)}</a> →` : ''}</span>
+        </p>
+
+        <section>
+            <h2>Wordle Answers, ${monthName(ym)}</h2>
+            <p>${fmt(puzzles)} puzzle${puzzles === 1 ? '' : 's'}${repeats ? `, ${repeats === 1 ? 'one a repeat' : `${repeats} of them repeats`} of an earlier answer` : ''}.${partial ? ` Listed through ${formatDate(last, { month: 'long', day: 'numeric' })}: answers appear here two days after they're played, once every timezone has moved on.` : ''} Tap a word for every date it was played and similar past answers.</p>
+${table(['Date', 'Puzzle', 'Answer', ''], rows)}
+        </section>
+`;
+    return page({
+        url: `/archive/${ym}/`,
+        title: `Wordle Answers ${monthName(ym)} – Every Answer by Day`,
+        description: `Every Wordle answer from ${monthName(ym)}, day by day with puzzle numbers${partial ? ` (through ${shortDate(last)})` : ''}.`,
+        heading: colored('WORDLE'),
+        sub: monthName(ym).toUpperCase(),
+        subtitle: `puzzles <span>#${fmt(days[0].num)}–${fmt(days[days.length - 1].num)}</span>`,
+        nav: ['<a href="/">← All past answers</a>', '<a href="/archive/">All months</a>'],
+        body
+    });
+}
+
+function indexPage(data, monthKeys) {
+    const years = {};
+    monthKeys.forEach(ym => { (years[ym.slice(0, 4)] = years[ym.slice(0, 4)] || []).push(ym); });
+    const sections = Object.keys(years).sort().reverse().map(y => `
+        <section>
+            <h2>${y}</h2>
+            <ul>
+${years[y].slice().reverse().map(ym => `                <li><a href="/archive/${ym}/">${monthName(ym)}</a> — ${new Set(data.months[ym].map(d => d.num)).size} answers</li>`).join('\n')}
+            </ul>
+        </section>
+`).join('');
+    const total = new Set(data.days.map(d => d.num)).size;
+    return page({
+        url: '/archive/',
+        title: 'Wordle Answer Archive – Every Past Answer by Month',
+        description: `All ${fmt(total)} past Wordle answers, month by month since June 2021, with dates and puzzle numbers.`,
+        heading: colored('WORDLE'),
+        sub: 'ARCHIVE',
+        subtitle: `<span>${fmt(total)}</span> puzzles through ${shortDate(data.cutoff)}`,
+        nav: ['<a href="/">← All past answers</a>', '<a href="/stats/">Stats &amp; facts</a>'],
+        body: sections
+    });
+}
+
+/* ── write ── */
+
+function writeIfChanged(file, html) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === html) return false;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+    return true;
+}
+
+/* delete generated dirs under `dir` whose name isn't in `keep` */
+function prune(dir, keep, pattern) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => pattern.test(name) && !keep.has(name)).map(name => {
+        fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+        return name;
+    });
+}
+
+/* repoDir: the working copy to rebuild — update_wordle.js passes its own.
+ * Returns { words, months, written, removed }. */
+function build(repoDir = REPO_DIR) {
+    const data = collect(repoDir);
+    const allWords = Object.keys(data.words).sort();
+    const monthKeys = Object.keys(data.months).sort();
+    let written = 0;
+
+    allWords.forEach(w => {
+        if (writeIfChanged(path.join(repoDir, 'word', w, 'index.html'), wordPage(w, data, allWords))) written++;
+    });
+    monthKeys.forEach(ym => {
+        if (writeIfChanged(path.join(repoDir, 'archive', ym, 'index.html'), monthPage(ym, data, monthKeys))) written++;
+    });
+    if (data.days.length && writeIfChanged(path.join(repoDir, 'archive', 'index.html'), indexPage(data, monthKeys))) written++;
+
+    const removed = prune(path.join(repoDir, 'word'), new Set(allWords), /^[A-Z]{5}$/)
+        .concat(prune(path.join(repoDir, 'archive'), new Set(monthKeys), /^\d{4}-\d{2}$/));
+    return { words: allWords.length, months: monthKeys.length, written, removed };
+}
+
+if (require.main === module) {
+    const r = build();
+    r.removed.forEach(name => console.log(`Removed ${name}/ — no longer in answers.txt`));
+    console.log(`Archive pages: ${r.words} words, ${r.months} months — ${r.written} written`);
+}
+
+module.exports = { build, collect, similarWords, letterFacts };
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/*
+ * build_feeds.js
+ * --------------
+ * Publishes the answer history as versioned, machine-readable static files:
+ *
+ *   api/v1/answers.json   { version, safe_through, count, answers: [...] }
+ *                         one entry per puzzle day, oldest first
+ *   api/v1/answers.csv    the same rows, header first
+ *   api/v1/schema.json    JSON Schema for answers.json
+ *   api/v1/answers.atom   Atom feed, one entry per newly safe answer
+ *
+ * Each answer is { word, puzzle, date, repeat, changed, changed_with }:
+ * repeat is true when the word had been an answer before; changed is
+ * "replaced" for the word NYT swapped out mid-day, "replacement" for the one
+ * it swapped in (changed_with names the other), null otherwise. On an a/b day
+ * both rows share the puzzle number, the replaced word first.
+ *
+ * Everything comes from answers.txt through the safe word (wordle_date − 2),
+ * the same delay appendHistory() in update_wordle.js applies, so nothing here
+ * names a puzzle someone is still playing. answers.json is checked against
+ * schema.json before anything is written; validate_data.js repeats the check.
+ * The files only change when the history does — there is no build timestamp.
+ *
+ * v1 is a contract: fields may be added, never renamed or removed. A breaking
+ * change goes to api/v2/ alongside.
+ *
+ * This file only reads local data — it never hits the network. The daily
+ * cron (update_wordle.js) calls build() after appending to answers.txt.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { collect } = require('./build_archive.js');
+const { shiftDate } = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+const SITE = 'https://wordlelist.com';
+const API_DIR = 'api/v1';
+const FEED_ENTRIES = 30;
+
+const SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${SITE}/${API_DIR}/schema.json`,
+    title: 'Past Wordle answers',
+    description: 'Every Wordle answer through the safe window (two days behind the live puzzle), oldest first.',
+    type: 'object',
+    required: ['version', 'safe_through', 'count', 'answers'],
+    additionalProperties: false,
+    properties: {
+        version: { const: 1 },
+        safe_through: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Date of the newest answer included.' },
+        count: { type: 'integer', minimum: 0, description: 'Number of entries in answers.' },
+        answers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['word', 'puzzle', 'date', 'repeat', 'changed', 'changed_with'],
+                additionalProperties: false,
+                properties: {
+                    word: { type: 'string', pattern: '^[A-Z]{5}$' },
+                    puzzle: { type: 'integer', minimum: 0, description: 'Puzzle number; #0 was 2021-06-19.' },
+                    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                    repeat: { type: 'boolean', description: 'The word had been an answer on an earlier day.' },
+                    changed: { enum: [null, 'replaced', 'replacement'], description: 'Mid-day answer change: the word swapped out, or the one swapped in.' },
+                    changed_with: { type: ['string', 'null'], pattern: '^[A-Z]{5}$', description: 'The other word of a mid-day change.' }
+                }
+            }
+        }
+    }
+};
+
+/* ── schema check ──
+ *  Just the keywords SCHEMA uses (type, const, enum, pattern, minimum,
+ *  required, additionalProperties, properties, items); returns
+ *  ["path: problem", ...]. */
+function checkSchema(value, schema, at = '$') {
+    const errors = [];
+    const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array'
+        : Number.isInteger(v) ? 'integer' : typeof v;
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const t = typeOf(value);
+        if (!types.includes(t) && !(t === 'integer' && types.includes('number'))) {
+            return [`${at}: expected ${types.join(' or ')}, got ${t}`];
+        }
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value}" doesn't match ${schema.pattern}`);
+    if ('minimum' in schema && typeof value === 'number' && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(k => { if (!(k in value)) errors.push(`${at}: missing ${k}`); });
+        Object.keys(value).forEach(k => {
+            if (schema.properties && schema.properties[k]) errors.push(...checkSchema(value[k], schema.properties[k], `${at}.${k}`));
+            else if (schema.additionalProperties === false) errors.push(`${at}: unexpected ${k}`);
+        });
+    }
+    if (Array.isArray(value) && schema.items) value.forEach((v, i) => errors.push(...checkSchema(v, schema.items, `${at}[${i}]`)));
+    return errors;
+}
+
+/* ── content ── */
+
+function compute(repoDir = REPO_DIR) {
+    const data = collect(repoDir);
+    const answers = data.days.map(d => ({
+        word: d.word,
+        puzzle: d.num,
+        date: d.date,
+        repeat: !!d.first,
+        changed: d.suffix === 'a' ? 'replaced' : d.suffix === 'b' ? 'replacement' : null,
+        changed_with: d.partner
+    }));
+    return { version: 1, safe_through: data.cutoff, count: answers.length, answers };
+}
+
+function renderCsv(api) {
+    const head = 'word,puzzle,date,repeat,changed,changed_with';
+    return [head].concat(api.answers.map(a =>
+        [a.word, a.puzzle, a.date, a.repeat, a.changed || '', a.changed_with || ''].join(','))).join('\n') + '\n';
+}
+
+/* An answer goes into the feed the day it becomes safe: two days after it
+ * was played, at the daily run (10:00 UTC). */
+function renderAtom(api) {
+    const entries = api.answers.slice(-FEED_ENTRIES).reverse();
+    const stamp = a => `${shiftDate(a.date, 2)}T10:00:00Z`;
+    const note = a => a.changed === 'replaced' ? ` NYT replaced it mid-day with ${a.changed_with}.`
+        : a.changed === 'replacement' ? ` It replaced ${a.changed_with} mid-day.`
+            : a.repeat ? ' It had been an answer before.' : '';
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Past Wordle Answers</title>
+  <subtitle>Each Wordle answer, two days after it was played — once every timezone has moved on.</subtitle>
+  <link rel="self" href="${SITE}/${API_DIR}/answers.atom"/>
+  <link rel="alternate" href="${SITE}/"/>
+  <id>${SITE}/${API_DIR}/answers.atom</id>
+  <updated>${entries.length ? stamp(entries[0]) : '2021-06-19T00:00:00Z'}</updated>
+  <author><name>Wordlelist</name></author>
+${entries.map(a => `  <entry>
+    <title>Wordle #${a.puzzle}${a.changed === 'replaced' ? ' (replaced)' : ''}: ${a.word}</title>
+    <link rel="alternate" href="${SITE}/word/${a.word}/"/>
+    <id>tag:wordlelist.com,2021:puzzle/${a.puzzle}/${a.word}</id>
+    <updated>${stamp(a)}</updated>
+    <summary>${a.word} was the answer to Wordle #${a.puzzle} on ${a.date}.${note(a)}</summary>
+  </entry>
+`).join('')}</feed>
+`;
+}
+
+/* one answer per line — small, and a day's diff is one line */
+function renderJson(api) {
+    const head = JSON.stringify(Object.assign({}, api, { answers: [] })).slice(0, -3);
+    return `${head}[\n${api.answers.map(a => JSON.stringify(a)).join(',\n')}\n]}\n`;
+}
+
+/* the four files as { relative path: text } */
+function render(api) {
+    return {
+        [`${API_DIR}/answers.json`]: renderJson(api),
+        [`${API_DIR}/answers.csv`]: renderCsv(api),
+        [`${API_DIR}/schema.json`]: JSON.stringify(SCHEMA, null, 2) + '\n',
+        [`${API_DIR}/answers.atom`]: renderAtom(api)
+    };
+}
+
+/* repoDir: the working copy — update_wordle.js passes its own. Throws (and
+ * writes nothing) when answers.json would break its schema. Returns
+ * { count, safeThrough, written }. */
+function build(repoDir = REPO_DIR) {
+    const api = compute(repoDir);
+    const problems = checkSchema(api, SCHEMA);
+    if (problems.length) throw new Error(`answers.json fails its schema: ${problems.slice(0, 3).join('; ')}`);
+
+    const files = render(api);
+    const written = Object.keys(files).filter(rel => {
+        const file = path.join(repoDir, rel);
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === files[rel]) return false;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, files[rel]);
+        return true;
+    });
+    return { count: api.count, safeThrough: api.safe_through, written };
+}
+
+if (require.main === module) {
+    const r = build();
+    console.log(`${API_DIR}: ${r.count} answers through ${r.safeThrough}${r.written.length ? ` — wrote ${r.written.join(', ')}` : ' — unchanged'}`);
+}
+
+module.exports = { build, compute, render, checkSchema, SCHEMA, API_DIR };
@@ -0,0 +1,48 @@
+/*
+ * build_helpers.js
+ * ----------------
+ * What the page builders (build_stats.js, build_openers.js, build_og_card.js)
+ * share: the distinct answer set, marker injection and number formatting.
+ * Not a builder itself — nothing here writes a file.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { parseAnswers } = require('./word_logic.js');
+
+/* ── formatting ── */
+const fmt = n => n.toLocaleString('en-US');
+const pct = (n, total, digits = 1) => `${(100 * n / total).toFixed(digits)}%`;
+
+/* ["A","B","C"] -> "A, B and C" */
+function andList(items) {
+    return items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/* ── answers ── */
+
+/* answers.txt -> sorted distinct answer words (no "a" replacements) */
+function answerWords(repoDir) {
+    const lines = fs.readFileSync(path.join(repoDir, 'answers.txt'), 'utf-8').split('\n');
+    const { entries } = parseAnswers(lines);
+    return [...new Set(entries.filter(e => e.suffix !== 'a').map(e => e.word))].sort();
+}
+
+/* ── markers ── */
+
+/* Replace everything between <!-- PREFIX:NAME:START --> and its END marker.
+ * Returns the names whose markers weren't found. */
+function inject(html, blocks, prefix) {
+    const missing = [];
+    Object.keys(blocks).forEach(name => {
+        const start = `<!-- ${prefix}:${name}:START -->`;
+        const end = `<!-- ${prefix}:${name}:END -->`;
+        const startIdx = html.indexOf(start);
+        const endIdx = html.indexOf(end);
+        if (startIdx === -1 || endIdx < startIdx) { missing.push(name); return; }
+        html = html.slice(0, startIdx + start.length) + blocks[name] + html.slice(endIdx);
+    });
+    return { html, missing };
+}
+
+module.exports = { fmt, pct, andList, answerWords, inject };
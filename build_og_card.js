@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/*
+ * build_og_card.js
+ * ----------------
+ * Draws the day's social card: a 1200×630 Open Graph image with the puzzle
+ * number, its date and the same spoiler-free "played before / never played"
+ * clue as the homepage banner. It is laid out as SVG, then rasterized to
+ * og/YYYY-MM-DD.png by the small converter below. That needs no browser, no
+ * packages and no network, because the layout only uses the two things the
+ * converter draws:
+ *
+ *   <rect>   x, y, width, height, optional rx, fill (#rrggbb)
+ *   text     set in the built-in 5×7 pixel font, emitted as <rect>s too
+ *
+ * The new card's URL goes into index.html and hint/index.html between
+ *
+ *   <!-- OG:IMAGE:START -->    og:image
+ *   <!-- OG:TWITTER:START -->  twitter:image
+ *
+ * (each with a matching …:END), so a share links to a file that didn't exist
+ * yesterday and the networks fetch it fresh. Cards older than the previous
+ * day's are deleted. Pages without markers keep the static og-image.png.
+ *
+ * The clue is the gate's, run for wordle_date, so it says no more than the
+ * banner does. This file only reads local data — it never hits the network.
+ * The daily cron (update_wordle.js) calls build() after writing meta.json;
+ * run it by hand with `node build_og_card.js [--svg]` (--svg also writes the
+ * SVG next to the PNG, for checking the layout).
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const WL = require('./word_logic.js');
+const { inject } = require('./build_helpers.js');
+
+const REPO_DIR = __dirname;
+const SITE = 'https://wordlelist.com';
+const CARD_DIR = 'og';
+const PAGES = ['index.html', 'hint/index.html'];
+const KEEP = 2;                 // today's card and the one before it
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const COLORS = {
+    bg: '#121213', tile: '#3a3a3c', green: '#538d4e', yellow: '#b59f3b',
+    text: '#ffffff', light: '#d7dadc', muted: '#818384'
+};
+
+/* ── pixel font ──
+ *  5×7 cells per glyph, '#' lit. Only what the card prints: capitals,
+ *  digits and a little punctuation. Glyphs are set proportionally — each
+ *  advances by its lit width plus one cell. */
+const FONT = {
+    A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+    E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    I: ['###', '.#.', '.#.', '.#.', '.#.', '.#.', '###'],
+    J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    1: ['.#.', '##.', '.#.', '.#.', '.#.', '.#.', '###'],
+    2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+    ',': ['..', '..', '..', '..', '##', '.#', '#.'],
+    '.': ['..', '..', '..', '..', '..', '##', '##'],
+    "'": ['.#', '.#', '#.', '..', '..', '..', '..'],
+    '!': ['#', '#', '#', '#', '#', '.', '#'],
+    '-': ['....', '....', '....', '####', '....', '....', '....'],
+    '·': ['..', '..', '..', '##', '##', '..', '..'],
+    ' ': ['..', '..', '..', '..', '..', '..', '..']
+};
+
+/* text → rects, left edge at x, top at y, one font cell = `scale` px */
+function textRects(str, x, y, scale, fill) {
+    const rects = [];
+    for (const ch of str) {
+        const glyph = FONT[ch];
+        if (!glyph) throw new Error(`no glyph for "${ch}"`);
+        glyph.forEach((row, r) => {
+            // one rect per horizontal run keeps the SVG small
+            for (let c = 0; c < row.length; c++) {
+                if (row[c] !== '#') continue;
+                let end = c;
+                while (row[end + 1] === '#') end++;
+                rects.push({ x: x + c * scale, y: y + r * scale, width: (end - c + 1) * scale, height: scale, fill });
+                c = end;
+            }
+        });
+        x += (glyph[0].length + 1) * scale;
+    }
+    return rects;
+}
+
+function textWidth(str, scale) {
+    let cells = 0;
+    for (const ch of str) cells += FONT[ch][0].length + 1;
+    return (cells - 1) * scale;
+}
+
+/* text centred on the card */
+function centered(str, y, scale, fill) {
+    return textRects(str, Math.round((WIDTH - textWidth(str, scale)) / 2), y, scale, fill);
+}
+
+/* ── the card ──
+ *  { num, date (YYYY-MM-DD), playedBefore (true / false / null = unknown) }
+ *  → SVG. Everything is upper case: the pixel font has no lower case. */
+function renderSvg({ num, date, playedBefore }) {
+    const rects = [{ x: 0, y: 0, width: WIDTH, height: HEIGHT, fill: COLORS.bg }];
+
+    // WORDLE in tiles, coloured like the site's header
+    const tile = 84, gap = 10, tileColors = [COLORS.green, COLORS.yellow, COLORS.tile];
+    let x = (WIDTH - (6 * tile + 5 * gap)) / 2;
+    'WORDLE'.split('').forEach((ch, i) => {
+        rects.push({ x, y: 60, width: tile, height: tile, rx: 6, fill: tileColors[i % 3] });
+        rects.push(...textRects(ch, x + (tile - textWidth(ch, 8)) / 2, 60 + (tile - 56) / 2, 8, COLORS.text));
+        x += tile + gap;
+    });
+
+    rects.push(...centered(`#${num.toLocaleString('en-US')}`, 196, 16, COLORS.text));
+
+    const day = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US',
+        { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    rects.push(...centered(day.toUpperCase(), 342, 6, COLORS.light));
+
+    // the clue, in a pill — the one fact the card gives away
+    if (playedBefore != null) {
+        const clue = playedBefore ? 'TODAY\'S WORD HAS BEEN PLAYED BEFORE!' : 'TODAY\'S WORD HAS NEVER BEEN PLAYED!';
+        const w = textWidth(clue, 5) + 80;
+        rects.push({ x: (WIDTH - w) / 2, y: 420, width: w, height: 76, rx: 38, fill: playedBefore ? COLORS.yellow : COLORS.green });
+        rects.push(...centered(clue, 441, 5, COLORS.text));
+    }
+
+    rects.push(...centered('WORDLELIST.COM · SPOILER-FREE HINTS', 550, 4, COLORS.muted));
+
+    const attrs = r => Object.keys(r).map(k => `${k}="${r[k]}"`).join(' ');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">\n` +
+        `<title>Wordle #${num} · ${day}</title>\n` +
+        rects.map(r => `<rect ${attrs(r)}/>`).join('\n') + '\n</svg>\n';
+}
+
+/* ── SVG → PNG ──
+ *  Understands exactly what renderSvg writes: a root <svg width height> and
+ *  <rect>s with x, y, width, height, rx and a #rrggbb fill. Anything else
+ *  that draws is an error rather than a silently wrong image. Edges and
+ *  rounded corners are anti-aliased by 4×4 supersampling. */
+const SAMPLES = 4;
+
+function parseSvg(svg) {
+    const root = /<svg\b([^>]*)>/.exec(svg);
+    if (!root) throw new Error('not an SVG');
+    const num = (attrs, name, dflt) => {
+        const m = new RegExp(`\\b${name}="(-?[\\d.]+)"`).exec(attrs);
+        if (m) return +m[1];
+        if (dflt === undefined) throw new Error(`missing ${name}`);
+        return dflt;
+    };
+    const rects = [];
+    const tag = /<(\/?)([a-zA-Z]+)\b([^>]*)>/g;
+    let m;
+    while ((m = tag.exec(svg))) {
+        const [, close, name, attrs] = m;
+        if (close || name === 'svg' || name === 'title' || name === 'desc') continue;
+        if (name !== 'rect') throw new Error(`unsupported SVG element <${name}>`);
+        const fill = /\bfill="#([0-9a-fA-F]{6})"/.exec(attrs);
+        if (!fill) throw new Error('rect without a #rrggbb fill');
+        rects.push({
+            x: num(attrs, 'x', 0), y: num(attrs, 'y', 0),
+            width: num(attrs, 'width'), height: num(attrs, 'height'), rx: num(attrs, 'rx', 0),
+            rgb: [0, 2, 4].map(i => parseInt(fill[1].substr(i, 2), 16))
+        });
+    }
+    return { width: num(root[1], 'width'), height: num(root[1], 'height'), rects };
+}
+
+/* is (px, py) inside the rounded rect? */
+function inside(r, px, py) {
+    if (px < r.x || px >= r.x + r.width || py < r.y || py >= r.y + r.height) return false;
+    const rx = Math.min(r.rx, r.width / 2, r.height / 2);
+    if (!rx) return true;
+    const cx = Math.min(Math.max(px, r.x + rx), r.x + r.width - rx);
+    const cy = Math.min(Math.max(py, r.y + rx), r.y + r.height - rx);
+    return (px - cx) * (px - cx) + (py - cy) * (py - cy) <= rx * rx;
+}
+
+function rasterize({ width, height, rects }) {
+    const rgb = Buffer.alloc(width * height * 3);
+    rects.forEach(r => {
+        const x0 = Math.max(0, Math.floor(r.x)), x1 = Math.min(width, Math.ceil(r.x + r.width));
+        const y0 = Math.max(0, Math.floor(r.y)), y1 = Math.min(height, Math.ceil(r.y + r.height));
+        const rx = Math.min(r.rx, r.width / 2, r.height / 2);
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                // whole pixels away from the edges and corners need no sampling
+                let cover = 1;
+                const edge = x < r.x + rx + 1 || x + 1 > r.x + r.width - rx - 1 ||
+                    y < r.y + rx + 1 || y + 1 > r.y + r.height - rx - 1;
+                if (edge) {
+                    let hits = 0;
+                    for (let sy = 0; sy < SAMPLES; sy++) {
+                        for (let sx = 0; sx < SAMPLES; sx++) {
+                            if (inside(r, x + (sx + 0.5) / SAMPLES, y + (sy + 0.5) / SAMPLES)) hits++;
+                        }
+                    }
+                    cover = hits / (SAMPLES * SAMPLES);
+                }
+                if (!cover) continue;
+                const i = (y * width + x) * 3;
+                for (let c = 0; c < 3; c++) rgb[i + c] = Math.round(rgb[i + c] * (1 - cover) + r.rgb[c] * cover);
+            }
+        }
+    });
+    return rgb;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+}
+
+/* 8-bit RGB, no interlace; every scanline uses filter 0 (flat fills
+ * deflate well enough without the others) */
+function encodePng(width, height, rgb) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // bit depth
+    header[9] = 2;   // colour type: RGB
+    const raw = Buffer.alloc(height * (width * 3 + 1));
+    for (let y = 0; y < height; y++) rgb.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function svgToPng(svg) {
+    const image = parseSvg(svg);
+    return encodePng(image.width, image.height, rasterize(image));
+}
+
+/* ── today's card ──
+ *  The gate for wordle_date: the newest puzzle, and whether its answer is
+ *  in the played set. No answer on file (a failed fetch) → no clue. */
+function compute(repoDir = REPO_DIR) {
+    const read = (file, fallback) => {
+        try { return fs.readFileSync(path.join(repoDir, file), 'utf-8'); } catch (_) { return fallback; }
+    };
+    const json = file => { try { return JSON.parse(read(file, 'null')); } catch (_) { return null; } };
+    const meta = json('meta.json');
+    if (!meta || !meta.wordle_date) throw new Error('no wordle_date in meta.json');
+    const gate = WL.resolveGate({
+        words: read('words.txt', ''), current: read('current.txt', ''), prior: read('prior.txt', ''),
+        safe: read('safe.txt', ''), meta, schedule: json('schedule.json')
+    }, meta.wordle_date);
+    return {
+        num: gate.num != null ? gate.num : WL.puzzleNumber(meta.wordle_date),
+        date: meta.wordle_date,
+        playedBefore: gate.playedBefore
+    };
+}
+
+/* repoDir: the working copy to rebuild — update_wordle.js passes its own,
+ * which differs from this script's directory in a dry run */
+function build(repoDir = REPO_DIR, { svg: keepSvg = false } = {}) {
+    const card = compute(repoDir);
+    const name = `${card.date}.png`;
+    const dir = path.join(repoDir, CARD_DIR);
+    const svg = renderSvg(card);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), svgToPng(svg));
+    if (keepSvg) fs.writeFileSync(path.join(dir, `${card.date}.svg`), svg);
+
+    const url = `${SITE}/${CARD_DIR}/${name}`;
+    const missing = [];
+    PAGES.forEach(page => {
+        const pagePath = path.join(repoDir, page);
+        const { html, missing: gaps } = inject(fs.readFileSync(pagePath, 'utf-8'), {
+            IMAGE: `<meta property="og:image" content="${url}">`,
+            TWITTER: `<meta name="twitter:image" content="${url}">`
+        }, 'OG');
+        gaps.forEach(g => missing.push(`${page} OG:${g}`));
+        fs.writeFileSync(pagePath, html);
+    });
+
+    // cards sort by date; keep the newest few, this one included
+    const cards = fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.(png|svg)$/.test(f) && f.slice(0, 10) <= card.date);
+    const dates = [...new Set(cards.map(f => f.slice(0, 10)))].sort();
+    const keep = new Set(dates.slice(-KEEP));
+    const removed = cards.filter(f => !keep.has(f.slice(0, 10)));
+    removed.forEach(f => fs.unlinkSync(path.join(dir, f)));
+
+    return { ...card, file: `${CARD_DIR}/${name}`, url, missing, removed };
+}
+
+if (require.main === module) {
+    const r = build(REPO_DIR, { svg: process.argv.includes('--svg') });
+    r.missing.forEach(m => console.warn(`markers for ${m} not found — left as is`));
+    r.removed.forEach(f => console.log(`Removed ${CARD_DIR}/${f}`));
+    console.log(`Wrote ${r.file}: #${r.num}, ${r.date}, ${r.playedBefore == null ? 'no clue' : r.playedBefore ? 'played before' : 'never played'}`);
+}
+
+module.exports = { build, compute, renderSvg, svgToPng };
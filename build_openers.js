@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/*
+ * build_openers.js
+ * ----------------
+ * Ranks every valid guess in solver-words.txt as an opening word against the
+ * real answers in answers.txt, finds the best two-word opening, and feeds the
+ * result everywhere the site quotes it:
+ *
+ *   openers.json                   the ranking (top words, top pairs, the
+ *                                  famous starters' places) — read by
+ *                                  update_wordle.js for meta.fresh_openers
+ *   solver/index.html              the empty-board "Best all-round openers"
+ *                                  row (STARTERS, between OPENERS markers)
+ *   best-starting-words/index.html the pick, the Top 12 and by-position
+ *                                  tables, the two-word opening, the famous
+ *                                  starters, the letter strip and the FAQ
+ *                                  (between <!-- OPENERS:…:START/END --> markers)
+ *
+ * Scoring uses the solver's own feedback(): for each answer, "letters hit" is
+ * the number of tiles that come back green or yellow and "greens" the exact-
+ * position matches. Words are ranked by average letters hit, then average
+ * greens. A pair's coverage is the number of distinct answer letters its ten
+ * tiles reveal; the pair search only considers two words with ten different
+ * letters between them, where that is the sum of each letter's share.
+ *
+ * Answers are the same distinct set the stats page uses (answerWords() in
+ * build_helpers.js): everything through the safe word, repeats once, mid-day
+ * "a" words left out.
+ *
+ * This file only reads local data — it never hits the network. The daily
+ * cron (update_wordle.js) calls build() after appending to answers.txt.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { answerWords, inject, fmt, pct, andList } = require('./build_helpers.js');
+const WordLogic = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+const A = 65;                  // 'A'.charCodeAt(0)
+const TOP_WORDS = 50;          // ranked words kept in openers.json
+const TOP_PAIRS = 5;           // two-word openings kept in openers.json
+const TOP_TIER = 0.05;         // letters-hit margin that still counts as top tier
+const FAMOUS = ['SLATE', 'CRANE', 'ADIEU', 'AUDIO'];
+const SOLVER_PAGE = 'solver/index.html';
+const GUIDE_PAGE = 'best-starting-words/index.html';
+
+/* ── scoring ── */
+
+/* The solver's own feedback() (word_logic.js) as an array of tile states:
+ * 0 (gray) / 1 (yellow) / 2 (green). */
+function feedback(guess, answer) {
+    return WordLogic.patternStates(WordLogic.feedback(guess, answer));
+}
+
+const codes = w => Array.from(w, ch => ch.charCodeAt(0) - A);
+
+/* Every guess scored against every answer. feedback() above, unrolled onto
+ * letter codes — the full guess list × answer archive is ~25M comparisons.
+ * Returns [{ word, hits, greens, twoPlus }] best-first, hits/greens as
+ * per-answer averages and twoPlus as the share hitting 2+ letters. */
+function rankOpeners(guesses, answers) {
+    const ans = answers.map(codes);
+    const counts = new Int8Array(26);
+    const ranked = guesses.map(word => {
+        const g = codes(word);
+        let hits = 0, greens = 0, twoPlus = 0;
+        for (const a of ans) {
+            let green = 0, yellow = 0;
+            counts.fill(0);
+            for (let i = 0; i < 5; i++) {
+                if (g[i] === a[i]) green++;
+                else counts[a[i]]++;
+            }
+            for (let i = 0; i < 5; i++) {
+                if (g[i] !== a[i] && counts[g[i]] > 0) { yellow++; counts[g[i]]--; }
+            }
+            hits += green + yellow;
+            greens += green;
+            if (green + yellow >= 2) twoPlus++;
+        }
+        return { word, hits: hits / ans.length, greens: greens / ans.length, twoPlus: twoPlus / ans.length };
+    });
+    return ranked.sort((a, b) => b.hits - a.hits || b.greens - a.greens || a.word.localeCompare(b.word));
+}
+
+const letterMask = w => codes(w).reduce((m, c) => m | (1 << c), 0);
+
+function popcount(m) {
+    let n = 0;
+    for (; m; m &= m - 1) n++;
+    return n;
+}
+
+/* Best two-word openings. For two words with ten distinct letters, average
+ * coverage is just the sum of each letter's share of answers, so the search
+ * runs over letter sets. Many splits of the same ten letters tie exactly;
+ * among them (and among anagrams) words that have been answers come first —
+ * real words people recognise — then the most combined greens, then the more
+ * common words. ranked: rankOpeners() output, order: word -> index in
+ * solver-words.txt (most common first), played: Set of answer words. */
+function bestPairs(ranked, answers, order, played, count = TOP_PAIRS) {
+    const share = new Array(26).fill(0);
+    answers.forEach(w => { for (const c of new Set(codes(w))) share[c] += 1 / answers.length; });
+
+    const byMask = new Map();
+    ranked.forEach(r => {
+        const m = letterMask(r.word);
+        if (popcount(m) !== 5) return;
+        if (!byMask.has(m)) byMask.set(m, []);
+        byMask.get(m).push(r);
+    });
+    const sets = [...byMask.keys()].map(m => {
+        let s = 0;
+        for (let c = 0; c < 26; c++) if (m & (1 << c)) s += share[c];
+        return { mask: m, score: s };
+    }).sort((a, b) => b.score - a.score);
+
+    // every disjoint set pair that could still make the top `count` letter
+    // unions; sets are sorted, so once no partner can reach the cut, stop
+    const EPS = 1e-9;
+    const unions = new Map();   // union mask -> { hits, splits: [[maskA, maskB], …] }
+    const cut = () => {
+        const scores = [...unions.values()].map(u => u.hits).sort((x, y) => y - x);
+        return scores.length < count ? -1 : scores[count - 1] - EPS;
+    };
+    let floor = -1;
+    for (let i = 0; i < sets.length; i++) {
+        if (sets[i].score + (sets[i + 1] ? sets[i + 1].score : 0) < floor) break;
+        for (let j = i + 1; j < sets.length; j++) {
+            const hits = sets[i].score + sets[j].score;
+            if (hits < floor) break;
+            if (sets[i].mask & sets[j].mask) continue;
+            const u = sets[i].mask | sets[j].mask;
+            if (!unions.has(u)) unions.set(u, { hits, splits: [] });
+            unions.get(u).splits.push([sets[i].mask, sets[j].mask]);
+            floor = cut();
+        }
+    }
+
+    const real = r => (played.has(r.word) ? 1 : 0);
+    const best = (x, y) => real(y) - real(x) || y.greens - x.greens || order[x.word] - order[y.word];
+    const rankOf = new Map(ranked.map((r, i) => [r.word, i]));
+    const ansMasks = answers.map(letterMask);
+    return [...unions.entries()]
+        .map(([both, u]) => {
+            // best split of these ten letters into two real guesses
+            const [a, b] = u.splits
+                .map(([ma, mb]) => [byMask.get(ma).slice().sort(best)[0], byMask.get(mb).slice().sort(best)[0]])
+                .sort((x, y) => (real(y[0]) + real(y[1])) - (real(x[0]) + real(x[1])) ||
+                    (y[0].greens + y[1].greens) - (x[0].greens + x[1].greens) ||
+                    Math.min(order[x[0].word], order[x[1].word]) - Math.min(order[y[0].word], order[y[1].word]))[0];
+            const [first, second] = rankOf.get(a.word) < rankOf.get(b.word) ? [a, b] : [b, a];
+            const hit = ansMasks.map(m => popcount(m & both));
+            return {
+                words: [first.word, second.word],
+                hits: u.hits,
+                greens: a.greens + b.greens,   // disjoint letters: never green in the same slot
+                any: hit.filter(n => n >= 1).length / answers.length,
+                threePlus: hit.filter(n => n >= 3).length / answers.length
+            };
+        })
+        .sort((x, y) => y.hits - x.hits || y.greens - x.greens)
+        .slice(0, count);
+}
+
+/* The empty-board opener row: the pick, the best pair, then — greedily —
+ * whichever past answer adds the most answer-letter share the earlier words
+ * don't already cover, so the row spreads across the alphabet. */
+function chooseStarters(pick, pair, answers, size = 5) {
+    const share = new Array(26).fill(0);
+    answers.forEach(w => { for (const c of new Set(codes(w))) share[c] += 1 / answers.length; });
+    const starters = [];
+    let covered = 0;
+    const add = w => {
+        if (starters.includes(w)) return;
+        starters.push(w);
+        covered |= letterMask(w);
+    };
+    [pick].concat(pair).forEach(add);
+    while (starters.length < size) {
+        let best = null, bestGain = -1;
+        answers.forEach(w => {
+            let gain = 0;
+            for (const c of new Set(codes(w))) if (!(covered & (1 << c))) gain += share[c];
+            if (gain > bestGain && !starters.includes(w)) { best = w; bestGain = gain; }
+        });
+        if (!best) break;
+        add(best);
+    }
+    return starters;
+}
+
+/* letter -> share of answers containing it, and per position, best-first */
+function letterShares(answers) {
+    const rank = test => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
+        .map(letter => ({ letter, share: answers.filter(w => test(w, letter)).length / answers.length }))
+        .sort((a, b) => b.share - a.share || a.letter.localeCompare(b.letter));
+    return {
+        anywhere: rank((w, l) => w.includes(l)),
+        positions: [0, 1, 2, 3, 4].map(i => rank((w, l) => w[i] === l))
+    };
+}
+
+/* The whole ranking for a working copy. */
+function compute(repoDir = REPO_DIR) {
+    const answers = answerWords(repoDir);
+    const guesses = fs.readFileSync(path.join(repoDir, 'solver-words.txt'), 'utf-8')
+        .split('\n').map(w => w.trim().toUpperCase()).filter(w => /^[A-Z]{5}$/.test(w));
+    const order = {};
+    guesses.forEach((w, i) => { if (!(w in order)) order[w] = i; });
+
+    const ranked = rankOpeners(Object.keys(order), answers);
+    const played = new Set(answers);
+    const top = ranked.slice(0, TOP_WORDS).map(r => Object.assign({ answer: played.has(r.word) }, r));
+
+    // the pick: the most green-heavy top-tier word that has itself been an
+    // answer — a real word people recognise, not a letter-dump like ROATE
+    const tier = ranked.filter(r => r.hits >= ranked[0].hits - TOP_TIER && played.has(r.word));
+    const pick = tier.slice().sort((a, b) => b.greens - a.greens || a.word.localeCompare(b.word))[0] || ranked[0];
+
+    const famous = {};
+    ranked.forEach((r, i) => {
+        if (FAMOUS.includes(r.word)) famous[r.word] = { rank: i + 1, hits: r.hits, greens: r.greens };
+    });
+
+    const pairs = bestPairs(ranked, answers, order, played);
+    return {
+        answers: answers.length,
+        ranked: top,
+        pick: Object.assign({ rank: ranked.indexOf(pick) + 1 }, pick),
+        hardMode: ranked.filter(r => r.hits >= ranked[0].hits - TOP_TIER)
+            .sort((a, b) => b.greens - a.greens || a.word.localeCompare(b.word)).slice(0, 2),
+        pairs,
+        starters: chooseStarters(pick.word, pairs.length ? pairs[0].words : [], answers),
+        famous,
+        letters: letterShares(answers)
+    };
+}
+
+/* ── rendering: one HTML string per marker on the guide page ── */
+
+const two = n => n.toFixed(2);
+const share = (x, digits = 1) => (x === 1 ? '100%' : pct(x, 1, digits));
+const tiles = (word, cls) => word.split('').map(ch => `<span class="tile${cls ? ' ' + cls : ''}">${ch}</span>`).join('');
+
+function faqItems(r) {
+    const p = r.pick, pair = r.pairs[0], [h1, h2] = r.hardMode.map(h => h.word);
+    const adieu = r.famous.ADIEU;
+    const unused = r.ranked.filter(x => !x.answer).slice(0, 2).map(x => x.word);
+    return [
+        {
+            q: ['What is the best Wordle starting word?', 'What is the best Wordle starting word?'],
+            ld: `Based on every real Wordle answer ever played, ${p.word} is the best all-round starting word: it hits an average of ${two(p.hits)} letters per answer and lands more exact-position greens than any other top-tier word that has been an answer itself. ${andList(unused)} score marginally higher on letter coverage but have never been Wordle answers themselves.`,
+            html: `<strong>${p.word}</strong> is our pick for best all-round starter: ${two(p.hits)} letters hit per real answer with an excellent ${two(p.greens)} greens. ${andList(unused)} score marginally higher on coverage but are obscure words that have never been Wordle answers.`
+        },
+        {
+            q: ['Is ADIEU a good Wordle starting word?', 'Is ADIEU a good starting word?'],
+            ld: `No — ADIEU ranks around #${fmt(adieu.rank)} against real Wordle answers, hitting only ${two(adieu.hits)} letters on average. Four vowels sounds clever, but common consonants like R, T, S and L appear in far more answers and narrow the field faster.`,
+            html: `No — ADIEU ranks around #${fmt(adieu.rank)} against real answers (${two(adieu.hits)} letters hit). Common consonants like R, T, S and L narrow the field faster than a fourth vowel does.`
+        },
+        {
+            q: ['Does the best Wordle starting word change in hard mode?', 'Does the best starting word change in hard mode?'],
+            ld: `The word doesn't, but the plan does. Hard mode forbids a free second opener, so the two-word combo becomes illegal. Lead with a single green-heavy word like ${h1} or ${h2} that locks letters in place and leaves the most legal follow-up guesses, rather than a coverage-only word like ${r.ranked[0].word}.`,
+            html: `The word doesn't, but the plan does. Hard mode forbids a free second opener, so drop the two-word combo and lead with one green-heavy word like <strong>${h1}</strong> or <strong>${h2}</strong> that locks letters in place and leaves the most legal follow-up guesses.`
+        },
+        {
+            q: ['What are the best two Wordle starting words to play together?', 'What are the best two starting words to play together?'],
+            ld: `${pair.words[0]} followed by ${pair.words[1]} is the strongest measured combination: together they cover an average of ${two(pair.hits)} letters per answer, and ${share(pair.any)} of all real Wordle answers contain at least one of their ten letters.`,
+            html: `<strong>${pair.words.join(' → ')}</strong>: ${two(pair.hits)} letters covered per answer on average, and ${share(pair.any)} of all real Wordle answers contain at least one of their ten letters.`
+        },
+        {
+            q: ['Should I start with a word that has never been a Wordle answer?', 'Should I start with a word that\'s never been a Wordle answer?'],
+            ld: `Only if you are chasing the one-guess win. Because an answer almost never repeats, a word that has already been used can never win on the first guess today. To hunt it, open with an unused word like ROATE, SOARE or SANER, ideally one whose letters are common in the positions the still-unused answers use. That edge shrinks over time as fewer answers remain unused. If you only care about winning in as few guesses as possible, a proven word like ${p.word} offers better average coverage.`,
+            html: `Only if you're chasing the one-guess win — since an answer almost never repeats, a used word can't win today. To hunt it, open with an unused word like <strong>ROATE</strong>, <strong>SOARE</strong> or <strong>SANER</strong>, ideally one whose letters are common in the positions the still-unused answers use. The edge fades as the unused pool shrinks. If you only care about winning in few guesses, a proven word like ${p.word} has better average coverage.`
+        },
+        {
+            q: ['Do the best starting words change over time?', 'Do the best starting words change over time?'],
+            ld: 'Slightly. These rankings are computed against the complete list of real Wordle answers, which grows by one word every day. The percentages shift very slowly, and the top tier of starting words has been stable for years.',
+            html: 'Slightly. These rankings are recomputed against the growing archive of real answers — one new word per day — but the percentages move very slowly and the top tier has been stable for years. Check whether any word has already been used on our <a href="/">past Wordle answers list</a>.'
+        }
+    ];
+}
+
+function render(r) {
+    const p = r.pick, pair = r.pairs[0], L = r.letters;
+    const blocks = {};
+
+    blocks.ITEMLIST = `
+    <script type="application/ld+json">
+    {
+        "@context": "https://schema.org",
+        "@type": "ItemList",
+        "name": "Best Wordle Starting Words",
+        "description": "Starting words ranked by average letters hit across all real Wordle answers.",
+        "itemListElement": [
+${r.ranked.slice(0, 10).map((x, i) => `            { "@type": "ListItem", "position": ${i + 1}, "name": "${x.word}" }`).join(',\n')}
+        ]
+    }
+    </script>
+    `;
+
+    const faq = faqItems(r);
+    const ld = {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: faq.map(f => ({ '@type': 'Question', name: f.q[0], acceptedAnswer: { '@type': 'Answer', text: f.ld } }))
+    };
+    blocks['FAQ-LD'] = `
+    <script type="application/ld+json">
+    ${JSON.stringify(ld, null, 4).replace(/\n/g, '\n    ')}
+    </script>
+    `;
+
+    blocks.PICK = `
+        <div class="pick">
+            <p class="pick-label">Our pick · Best all-round starter</p>
+            <div class="tiles">
+                ${tiles(p.word)}
+            </div>
+            <p class="pick-why">${p.word} hits an average of <strong>${two(p.hits)} letters</strong> per real answer and lands <strong>more greens</strong> (${two(p.greens)} per game) than any other top-tier coverage word that has actually been a Wordle answer. Balanced, memorable, and it never wastes a guess.</p>
+        </div>
+        `;
+
+    blocks.TOP = `
+                    <tbody>
+${r.ranked.slice(0, 12).map((x, i) => `                        <tr><td class="rank">${i + 1}</td><td class="word-cell">${x.word}${x.answer ? '' : ' <span class="dagger">†</span>'}</td><td class="num"><strong>${two(x.hits)}</strong></td><td class="num">${two(x.greens)}</td><td class="num">${share(x.twoPlus, 0)}</td></tr>`).join('\n')}
+                    </tbody>
+                    `;
+
+    const f = r.famous;
+    blocks.FAMOUS = `
+        <section>
+            <h2>Where the Famous Starters Rank</h2>
+            <p><strong>SLATE</strong> — WordleBot's longtime favorite — comes in at #${fmt(f.SLATE.rank)} (${two(f.SLATE.hits)} letters, but an excellent ${two(f.SLATE.greens)} greens). <strong>CRANE</strong>, the pick made famous by 3Blue1Brown's information-theory video, ranks #${fmt(f.CRANE.rank)} (${two(f.CRANE.hits)} letters, ${two(f.CRANE.greens)} greens). Both remain great openers: they trade a little coverage for green-heavy positioning.</p>
+            <p>And the myth: <strong>ADIEU</strong> ranks <strong>#${fmt(f.ADIEU.rank)}</strong>, hitting just ${two(f.ADIEU.hits)} letters per answer — and <strong>AUDIO</strong> is way down at #${fmt(f.AUDIO.rank)} (${two(f.AUDIO.hits)}). Stacking vowels feels productive, but vowels are cheap information: E and A appear in nearly half of all answers anyway. It's the common consonants — R, T, L, S — that actually narrow the field.</p>
+        </section>
+        `;
+
+    blocks['PAIR-PICK'] = pair.words.join(' → ');
+    blocks['HARD-PICK'] = `${r.hardMode[0].word} (${two(r.hardMode[0].greens)} greens) or ${r.hardMode[1].word}`;
+
+    const threePlus = Math.round(pair.threePlus * 4);
+    blocks.PAIR = `
+        <section>
+            <h2>The Best Two-Word Opening</h2>
+            <p>Prefer to bank information with two fixed openers? The strongest measured pair is <strong>${pair.words.join(' → ')}</strong>:</p>
+            <div class="tiles" style="justify-content:flex-start">
+                ${tiles(pair.words[0], 'small')}
+                <span class="tile small gray" style="background:transparent;border:none;width:1rem"></span>
+                ${tiles(pair.words[1], 'small yellow')}
+            </div>
+            <p>Together they cover an average of <strong>${two(pair.hits)} letters</strong> per real answer; <strong>${share(pair.any)}</strong> of all answers contain at least one of their ten letters, and ${threePlus === 4 ? 'nearly all' : `${['none', 'one', 'two', 'three'][threePlus]} in four`} contain three or more. Close runners-up: ${andList(r.pairs.slice(1).map(x => x.words.join(' + ')))}.</p>
+        </section>
+        `;
+
+    const rare = L.anywhere.filter(x => x.share > 0).slice(-4).reverse();
+    blocks.LETTERS = `
+        <section>
+            <h2>The Most Common Letters in Wordle Answers</h2>
+            <p>Share of all real answers containing each letter:</p>
+            <div class="letter-strip">
+${L.anywhere.slice(0, 10).map(x => `                <div class="letter-chip"><b>${x.letter}</b><span>${share(x.share, 0)}</span></div>`).join('\n')}
+            </div>
+            <p>At the other end: ${andList(rare.map(x => `${x.letter} (${share(x.share)})`))} barely exist. Never burn an opener on them. More of these numbers — repeated letters, vowel patterns, word families — on the <a href="/stats/">stats &amp; facts</a> page.</p>
+        </section>
+        `;
+
+    const ORDINAL = ['1st', '2nd', '3rd', '4th', '5th'];
+    blocks.POSITIONS = `
+                    <tbody>
+${L.positions.map((col, i) => `                        <tr><td class="rank">${ORDINAL[i]} letter</td>${col.slice(0, 3).map((x, j) => `<td class="num">${j ? x.letter : `<strong>${x.letter}</strong>`} ${share(x.share, 0)}</td>`).join('')}</tr>`).join('\n')}
+                    </tbody>
+                    `;
+
+    blocks.FAQ = `
+        <section class="seo-content">
+            <h2>Frequently Asked Questions</h2>
+${faq.map(x => `            <details>
+                <summary>${x.q[1]}</summary>
+                <p>${x.html}</p>
+            </details>`).join('\n')}
+        </section>
+        `;
+
+    return blocks;
+}
+
+/* openers.json: the ranking, rounded — what computeFreshOpeners reads */
+function summary(r) {
+    const round = n => Math.round(n * 10000) / 10000;
+    return {
+        version: 1,
+        answers: r.answers,
+        pick: r.pick.word,
+        starters: r.starters,
+        ranked: r.ranked.map(x => ({ word: x.word, hits: round(x.hits), greens: round(x.greens), two_plus: round(x.twoPlus), answer: x.answer })),
+        pairs: r.pairs.map(x => ({ words: x.words, hits: round(x.hits), greens: round(x.greens), any: round(x.any), three_plus: round(x.threePlus) })),
+        famous: Object.fromEntries(Object.keys(r.famous).map(w => [w, { rank: r.famous[w].rank, hits: round(r.famous[w].hits), greens: round(r.famous[w].greens) }]))
+    };
+}
+
+/* repoDir: the working copy to rebuild — update_wordle.js passes its own,
+ * which differs from this script's directory in a dry run.
+ * Returns { answers, pick, pair, missing: ["page: NAME", …] }. */
+function build(repoDir = REPO_DIR) {
+    const r = compute(repoDir);
+    const missing = [];
+
+    fs.writeFileSync(path.join(repoDir, 'openers.json'), JSON.stringify(summary(r), null, 2) + '\n');
+
+    // solver: the starter row is a plain array literal in the inline script
+    const solverPath = path.join(repoDir, SOLVER_PAGE);
+    const solver = fs.readFileSync(solverPath, 'utf-8');
+    const decl = /var STARTERS = \[[^\]]*\];/;
+    if (decl.test(solver)) {
+        fs.writeFileSync(solverPath, solver.replace(decl, `var STARTERS = [${r.starters.map(w => `'${w}'`).join(', ')}];`));
+    } else {
+        missing.push(`${SOLVER_PAGE}: STARTERS`);
+    }
+
+    const guidePath = path.join(repoDir, GUIDE_PAGE);
+    const { html, missing: gaps } = inject(fs.readFileSync(guidePath, 'utf-8'), render(r), 'OPENERS');
+    gaps.forEach(g => missing.push(`${GUIDE_PAGE}: ${g}`));
+    const count = fmt(r.answers);
+    fs.writeFileSync(guidePath, html
+        .replace(/all [\d,]+ real (Wordle )?answers/g, (_, w) => `all ${count} real ${w || ''}answers`)
+        .replace(/all <span>[\d,]+<\/span> real/g, `all <span>${count}</span> real`)
+        .replace(/\([\d,]+ answers so far/g, `(${count} answers so far`));
+
+    return { answers: r.answers, pick: r.pick.word, pair: r.pairs[0].words, missing };
+}
+
+if (require.main === module) {
+    const r = build();
+    r.missing.forEach(m => console.warn(`${m} markers not found — left as is`));
+    console.log(`Ranked openers against ${r.answers} answers: pick ${r.pick}, best pair ${r.pair.join(' → ')}`);
+}
+
+module.exports = { feedback, rankOpeners, bestPairs, compute, build };
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/*
+ * build_sitemap.js
+ * ----------------
+ * Writes sitemap.xml and robots.txt from the pages that actually exist:
+ * every directory holding an index.html is a page (/, /hint/, /word/CRANE/,
+ * …) unless the page itself says noindex — the wordlist/ redirect, say.
+ *
+ *   lastmod     the page's last commit (git log); a page with uncommitted
+ *               changes — the daily run writes before it commits — or one
+ *               marked live below gets today's date
+ *   changefreq  from PAGES, the single per-page config; the first entry
+ *   priority    whose path or pattern matches wins, DEFAULTS otherwise
+ *
+ * PAGES also carries each page's robots.txt rules (disallow: URL variants
+ * crawlers should skip, like share links that only restore page state), so
+ * adding a page or a generated family of pages (word/, archive/) is one
+ * entry here.
+ *
+ * This file only reads local files and git — it never hits the network. The
+ * daily cron (update_wordle.js) calls build() after writing every page.
+ */
+'use strict';
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const REPO_DIR = __dirname;
+const SITE = 'https://wordlelist.com';
+
+/* ── the page registry ──
+ *  path (exact URL) or pattern (RegExp on the URL) picks the pages;
+ *  live: true = content changes every day even when the file doesn't. */
+const PAGES = [
+    { path: '/',                     changefreq: 'daily',   priority: '1.0', live: true, disallow: ['/?q='] },
+    { path: '/hint/',                changefreq: 'daily',   priority: '0.8', live: true, disallow: ['/hint/?n=', '/hint/?d='] },
+    { path: '/best-starting-words/', changefreq: 'monthly', priority: '0.7' },
+    { path: '/solver/',              changefreq: 'monthly', priority: '0.7', disallow: ['/solver/?board='] },
+    { path: '/practice/',            changefreq: 'monthly', priority: '0.6', disallow: ['/practice/?n='] },
+    { path: '/tracker/',             changefreq: 'monthly', priority: '0.6' },
+    { path: '/stats/',               changefreq: 'monthly', priority: '0.6' },
+    { path: '/how-to-win/',          changefreq: 'monthly', priority: '0.6' },
+    { path: '/wordle-alternatives/', changefreq: 'monthly', priority: '0.5' },
+    { path: '/archive/',             changefreq: 'daily',   priority: '0.6' },
+    { pattern: /^\/archive\/\d{4}-\d{2}\/$/, changefreq: 'monthly', priority: '0.5' },
+    { pattern: /^\/word\/[A-Z]{5}\/$/,       changefreq: 'yearly',  priority: '0.4' }
+];
+const DEFAULTS = { changefreq: 'monthly', priority: '0.5' };
+
+/* never walked for pages */
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+function config(url) {
+    return Object.assign({}, DEFAULTS,
+        PAGES.find(p => (p.path && p.path === url) || (p.pattern && p.pattern.test(url))) || {});
+}
+
+/* every directory with an index.html, as { url, file } — file relative to
+ * repoDir, url with a trailing slash; noindex pages are left out */
+function findPages(repoDir = REPO_DIR) {
+    const pages = [];
+    (function walk(rel) {
+        const dir = path.join(repoDir, rel);
+        const index = path.join(dir, 'index.html');
+        if (fs.existsSync(index)) {
+            const head = fs.readFileSync(index, 'utf-8').split('</head>')[0];
+            if (!/<meta\s+name="robots"\s+content="[^"]*noindex/i.test(head)) {
+                pages.push({ url: `/${rel ? rel.split(path.sep).join('/') + '/' : ''}`, file: path.join(rel, 'index.html') });
+            }
+        }
+        fs.readdirSync(dir, { withFileTypes: true })
+            .filter(e => e.isDirectory() && !SKIP_DIRS.has(e.name) && !e.name.startsWith('.'))
+            .map(e => e.name)
+            .sort()
+            .forEach(name => walk(path.join(rel, name)));
+    })('');
+    return pages;
+}
+
+/* file -> YYYY-MM-DD of its last commit, from one pass over the history;
+ * files with uncommitted changes (or untracked) are left out */
+function gitDates(repoDir = REPO_DIR) {
+    const git = cmd => execSync(`git ${cmd}`, { cwd: repoDir, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+    const dates = {};
+    let date = null;
+    git('log --format=%x01%cs --name-only -- "*.html"').split('\n').forEach(line => {
+        if (line.startsWith('\x01')) date = line.slice(1);
+        else if (line && !dates[line]) dates[line] = date;
+    });
+    git('status --porcelain --untracked-files=all -- "*.html"').split('\n').forEach(line => {
+        if (line) delete dates[line.slice(3).replace(/^.* -> /, '').replace(/^"|"$/g, '')];
+    });
+    return dates;
+}
+
+function renderSitemap(entries) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(e => `  <url>
+    <loc>${SITE}${e.url}</loc>
+    <lastmod>${e.lastmod}</lastmod>
+    <changefreq>${e.changefreq}</changefreq>
+    <priority>${e.priority}</priority>
+  </url>
+`).join('')}</urlset>
+`;
+}
+
+function renderRobots(pages) {
+    const rules = [];
+    pages.forEach(p => (config(p.url).disallow || []).forEach(d => { if (!rules.includes(d)) rules.push(d); }));
+    return `User-agent: *
+Allow: /
+${rules.map(r => `Disallow: ${r}\n`).join('')}
+Sitemap: ${SITE}/sitemap.xml
+`;
+}
+
+/* repoDir: the working copy — update_wordle.js passes its own. today
+ * defaults to the current UTC date. Returns { pages, written } — the
+ * sitemap entries, and which of the two files changed. */
+function build(repoDir = REPO_DIR, { today = new Date().toISOString().split('T')[0] } = {}) {
+    const pages = findPages(repoDir);
+    let dates = {};
+    try { dates = gitDates(repoDir); } catch (_) { /* not a git checkout — everything is "today" */ }
+
+    // the registry's order first (the hand-written pages), then the rest by URL
+    const rank = url => {
+        const i = PAGES.findIndex(p => (p.path && p.path === url) || (p.pattern && p.pattern.test(url)));
+        return i === -1 ? PAGES.length : i;
+    };
+    const entries = pages
+        .map(p => {
+            const c = config(p.url);
+            return { url: p.url, lastmod: (!c.live && dates[p.file.split(path.sep).join('/')]) || today,
+                     changefreq: c.changefreq, priority: c.priority };
+        })
+        .sort((a, b) => rank(a.url) - rank(b.url) || (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+
+    const written = [];
+    [['sitemap.xml', renderSitemap(entries)], ['robots.txt', renderRobots(pages)]].forEach(([name, text]) => {
+        const file = path.join(repoDir, name);
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === text) return;
+        fs.writeFileSync(file, text);
+        written.push(name);
+    });
+    return { pages: entries, written };
+}
+
+if (require.main === module) {
+    const r = build();
+    console.log(`sitemap.xml: ${r.pages.length} pages${r.written.length ? ` — wrote ${r.written.join(', ')}` : ' — unchanged'}`);
+}
+
+module.exports = { build, findPages, PAGES };
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/*
+ * build_stats.js
+ * --------------
+ * Recomputes every figure on stats/index.html from answers.txt and writes it
+ * back between the page's markers:
+ *
+ *   <!-- STATS:GRID:START -->      big-number cards under the intro
+ *   <!-- STATS:REPEATS:START -->   Repeated Letters Are Everywhere
+ *   <!-- STATS:VOWELS:START -->    The Vowel Distribution
+ *   <!-- STATS:LETTERS:START -->   First and Last Letters
+ *   <!-- STATS:RARE:START -->      The Rare Letters
+ *   <!-- STATS:FAMILIES:START -->  Word Families That Keep Coming Back
+ *   <!-- STATS:ORDER:START -->     One More for the Road
+ *   <!-- STATS:FAQ:START -->       visible FAQ
+ *   <!-- STATS:FAQ-LD:START -->    FAQPage JSON-LD in <head>
+ *
+ * (each with a matching …:END). The answer count in the title, meta
+ * descriptions and subtitle is refreshed by pattern, like the word counts
+ * injectWordList() keeps current on index.html.
+ *
+ * Figures are over distinct answer words: a repeat counts once and the "a"
+ * word NYT replaced mid-day is left out — the same set words.txt ends up
+ * holding. answers.txt only runs through the safe word, so nothing here can
+ * give away a puzzle someone is still playing.
+ *
+ * This file only reads local data — it never hits the network. The daily
+ * cron (update_wordle.js) calls build() after appending to answers.txt.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { fmt, pct, andList, answerWords, inject } = require('./build_helpers.js');
+
+const REPO_DIR = __dirname;
+const PAGE = 'stats/index.html';
+const VOWELS = 'AEIOU';
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const NUMBER_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+/* ── formatting helpers ── */
+const spell = n => (n < NUMBER_WORDS.length ? NUMBER_WORDS[n] : fmt(n));
+const capital = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+function inline(words) {
+    return `<span class="word-inline">${words.join(', ')}</span>`;
+}
+
+/* ── figures ── */
+
+/* letter -> number of words matching test(word, letter), most first */
+function rankLetters(words, test) {
+    return ALPHABET.split('')
+        .map(l => ({ letter: l, count: words.filter(w => test(w, l)).length }))
+        .sort((a, b) => b.count - a.count || a.letter.localeCompare(b.letter));
+}
+
+function compute(words) {
+    const total = words.length;
+    const letterCounts = w => {
+        const c = {};
+        for (const l of w) c[l] = (c[l] || 0) + 1;
+        return c;
+    };
+
+    // repeated letters
+    const repeated = words.filter(w => new Set(w).size < 5);
+    const doubles = {};
+    let adjacent = 0;
+    words.forEach(w => {
+        const pairs = new Set();
+        for (let i = 0; i < 4; i++) if (w[i] === w[i + 1]) pairs.add(w[i] + w[i]);
+        if (pairs.size) adjacent++;
+        pairs.forEach(p => { doubles[p] = (doubles[p] || 0) + 1; });
+    });
+    const topDoubles = Object.keys(doubles)
+        .map(p => ({ pair: p, count: doubles[p] }))
+        .sort((a, b) => b.count - a.count || a.pair.localeCompare(b.pair))
+        .slice(0, 6);
+    const triples = words.filter(w => Object.values(letterCounts(w)).some(n => n >= 3));
+
+    // vowels
+    const vowelCount = w => w.split('').filter(l => VOWELS.includes(l)).length;
+    const maxVowels = Math.max(...words.map(vowelCount));
+    const vowelRows = [];
+    for (let v = 0; v <= maxVowels; v++) vowelRows.push({ vowels: v, count: words.filter(w => vowelCount(w) === v).length });
+    const noVowel = words.filter(w => vowelCount(w) === 0);
+    const mostVowels = words.filter(w => vowelCount(w) === maxVowels);
+
+    // letter positions
+    const anywhere = rankLetters(words, (w, l) => w.includes(l));
+    const first = rankLetters(words, (w, l) => w[0] === l);
+    const last = rankLetters(words, (w, l) => w[4] === l);
+    const neverFirst = first.filter(f => f.count === 0).map(f => f.letter).sort();
+    const rareFirst = first.filter(f => f.count > 0 && f.count <= 2)
+        .map(f => ({ letter: f.letter, words: words.filter(w => w[0] === f.letter) }))
+        .sort((a, b) => a.letter.localeCompare(b.letter));
+    const endsInS = words.filter(w => w[4] === 'S').length;
+
+    // rare letters
+    const rare = anywhere.filter(a => a.count > 0).slice(-5).reverse();
+    const rarest = rare[0];
+    const rarestWords = words.filter(w => w.includes(rarest.letter));
+    const qWords = words.filter(w => w.includes('Q'));
+    const qBroken = qWords.filter(w => /Q(?!U)/.test(w));
+
+    // word families: shared last four letters
+    const byEnding = {};
+    words.forEach(w => { (byEnding[w.slice(1)] = byEnding[w.slice(1)] || []).push(w); });
+    const families = Object.keys(byEnding)
+        .map(e => ({ ending: e, words: byEnding[e] }))
+        .filter(f => f.words.length >= 3)
+        .sort((a, b) => b.words.length - a.words.length || a.ending.localeCompare(b.ending))
+        .slice(0, 4);
+
+    // letter order
+    const sorted = w => w.split('').sort().join('');
+    const alphabetical = words.filter(w => sorted(w) === w);
+    const reverse = words.filter(w => sorted(w).split('').reverse().join('') === w);
+
+    return {
+        total, repeated, adjacent, topDoubles, triples,
+        vowelRows, noVowel, mostVowels, maxVowels,
+        anywhere, first, last, neverFirst, rareFirst, endsInS,
+        rare, rarest, rarestWords, qWords, qBroken,
+        families, alphabetical, reverse
+    };
+}
+
+/* ── rendering: one HTML string per marker ── */
+
+function faqItems(s) {
+    const [a1, a2, a3] = s.anywhere;
+    const topEnd = s.last[0];
+    const oneIn = Math.round(s.total / topEnd.count);
+    const doubles = andList(s.topDoubles.slice(0, 3).map(d => d.pair));
+    const allY = s.noVowel.every(w => w.includes('Y'));
+    return [
+        {
+            q: 'What is the most common letter in Wordle answers?',
+            ld: `${a1.letter} is the most common letter, appearing in ${pct(a1.count, s.total, 0)} of all real Wordle answers, followed by ${a2.letter} (${pct(a2.count, s.total, 0)}) and ${a3.letter} (${pct(a3.count, s.total, 0)}). About one in ${spell(oneIn)} answers ends in ${topEnd.letter}.`,
+            html: `${a1.letter} — it appears in ${pct(a1.count, s.total, 0)} of all real answers, followed by ${a2.letter} (${pct(a2.count, s.total, 0)}) and ${a3.letter} (${pct(a3.count, s.total, 0)}). About one in ${spell(oneIn)} answers ends in ${topEnd.letter}.`
+        },
+        {
+            q: 'How often do Wordle answers have repeated letters?',
+            ld: `About ${pct(s.repeated.length, s.total, 0)} of all real Wordle answers contain at least one repeated letter — roughly one in ${spell(Math.round(s.total / s.repeated.length))} puzzles. ${doubles} are the most common adjacent double letters.`,
+            html: `About ${pct(s.repeated.length, s.total, 0)} of all answers contain at least one repeated letter. ${doubles} are the most common doubles — see the full breakdown above.`
+        },
+        {
+            q: 'Has a Wordle answer ever had no vowels?',
+            ld: s.noVowel.length
+                ? `${capital(spell(s.noVowel.length))} answer${s.noVowel.length === 1 ? ' has' : 's have'} contained no A, E, I, O or U${allY ? ' — all leaning on Y' : ''}: ${andList(s.noVowel)}.`
+                : 'Never — every real Wordle answer has contained at least one of A, E, I, O or U.',
+            html: s.noVowel.length
+                ? `${capital(spell(s.noVowel.length))} time${s.noVowel.length === 1 ? '' : 's'}: ${andList(s.noVowel)}${allY ? ' — all carried by Y' : ''}.`
+                : 'Never — every answer so far has had at least one of A, E, I, O or U.'
+        },
+        {
+            q: 'Do Wordle answers ever end in S?',
+            ld: `Rarely — only about ${pct(s.endsInS, s.total)} of all answers end in S, and simple plurals are essentially never used. Guessing a plural is one of the most common Wordle mistakes.`,
+            html: `Only about ${pct(s.endsInS, s.total)} do, and simple plurals essentially never appear. It's one of the most common traps — read more in our <a href="/how-to-win/">strategy guide</a>.`
+        }
+    ];
+}
+
+function render(s) {
+    const top = s.first.slice(0, 3);
+    const ends = s.last.slice(0, 4);
+    const maxRow = s.vowelRows.reduce((a, b) => (b.count > a.count ? b : a));
+    const oneIn = Math.round(s.total / s.last[0].count);
+    const repeatOneIn = Math.round(s.total / s.repeated.length);
+    const allY = s.noVowel.every(w => w.includes('Y'));
+    const blocks = {};
+
+    blocks.GRID = `
+        <div class="stat-grid">
+            <div class="stat-card"><b>${fmt(s.total)}</b><span>different answers so far — a new puzzle every day since June 2021</span></div>
+            <div class="stat-card yellow"><b>${pct(s.repeated.length, s.total, 0)}</b><span>of answers contain a repeated letter</span></div>
+            <div class="stat-card"><b>1 in ${oneIn}</b><span>answers ends in the letter ${s.last[0].letter}</span></div>
+            <div class="stat-card yellow"><b>${s.noVowel.length}</b><span>answers had no vowels at all${allY ? ' (thanks, Y)' : ''}</span></div>
+        </div>
+        `;
+
+    const chips = s.topDoubles.map(d => `                <div class="letter-chip"><b>${d.pair}</b><span>${d.count} words</span></div>`).join('\n');
+    const triples = s.triples.length
+        ? `\n            <p>And ${s.triples.length} answer${s.triples.length === 1 ? ' has' : 's have'} used the same letter <strong>three times</strong>: ${s.triples.length === 1 ? inline(s.triples) : `${inline(s.triples.slice(0, -1))} and ${inline(s.triples.slice(-1))}`}.</p>`
+        : '';
+    blocks.REPEATS = `
+        <section>
+            <h2>Repeated Letters Are Everywhere</h2>
+            <p><strong>${fmt(s.repeated.length)} answers — ${pct(s.repeated.length, s.total)}</strong> — contain at least one repeated letter. Roughly one in ${spell(repeatOneIn)} puzzles. If your guesses always use five different letters, nearly a third of all games are unwinnable by construction.</p>
+            <p>${fmt(s.adjacent)} answers have an <strong>adjacent double</strong>. The most common:</p>
+            <div class="letter-strip">
+${chips}
+            </div>${triples}
+        </section>
+        `;
+
+    const rows = s.vowelRows.map(r => {
+        const bold = v => (r === maxRow ? `<strong>${v}</strong>` : v);
+        return `                        <tr><td class="num">${r.vowels} vowel${r.vowels === 1 ? '' : 's'}</td><td class="num">${bold(fmt(r.count))}</td><td class="num">${bold(pct(r.count, s.total))}</td></tr>`;
+    }).join('\n');
+    const noVowelNote = s.noVowel.length
+        ? ` The ${spell(s.noVowel.length)} vowel-less answer${s.noVowel.length === 1 ? '' : 's'}${allY ? ' all lean on Y' : ''}: ${inline(s.noVowel)}.`
+        : '';
+    blocks.VOWELS = `
+        <section>
+            <h2>The Vowel Distribution</h2>
+            <div class="table-wrap">
+                <table>
+                    <thead>
+                        <tr><th>Vowels (A/E/I/O/U)</th><th>Answers</th><th>Share</th></tr>
+                    </thead>
+                    <tbody>
+${rows}
+                    </tbody>
+                </table>
+            </div>
+            <p class="table-note">The sweet spot is clearly ${spell(maxRow.vowels)} vowel${maxRow.vowels === 1 ? '' : 's'}.${noVowelNote} Only ${spell(s.mostVowels.length)} answer${s.mostVowels.length === 1 ? '' : 's'} ever had ${spell(s.maxVowels)} vowels: ${inline(s.mostVowels)}.</p>
+        </section>
+        `;
+
+    const never = s.neverFirst.length
+        ? ` No answer has <em>ever</em> started with ${andList(s.neverFirst)}`
+        : '';
+    const rareFirst = s.rareFirst.length
+        ? `${never ? ', and only' : ' Only'} ${andList(s.rareFirst.map(r => `${spell(r.words.length)} started with ${r.letter} (${inline(r.words)})`))}.`
+        : (never ? '.' : '');
+    blocks.LETTERS = `
+        <section>
+            <h2>First and Last Letters</h2>
+            <p><strong>${top[0].letter} is king of the opening slot</strong> — ${pct(top[0].count, s.total)} of all answers start with it, ahead of ${top[1].letter} (${pct(top[1].count, s.total)}) and ${top[2].letter} (${pct(top[2].count, s.total)}).${never}${rareFirst}</p>
+            <p><strong>${ends[0].letter} dominates the final slot</strong> at ${pct(ends[0].count, s.total)}, followed by ${ends[1].letter} (${pct(ends[1].count, s.total)})${ends[1].letter === 'Y' ? ' — surprisingly strong for a letter that\'s weak overall —' : ','} then ${ends[2].letter} (${pct(ends[2].count, s.total)}) and ${ends[3].letter} (${pct(ends[3].count, s.total)}).</p>
+            <p>The famous <strong>plural trap</strong>: only <strong>${pct(s.endsInS, s.total)}</strong> of answers end in S, and simple plurals essentially never appear. If you're about to guess one, don't.</p>
+        </section>
+        `;
+
+    const rareChips = s.rare.map(r => `                <div class="letter-chip yellow"><b>${r.letter}</b><span>${r.count} words · ${pct(r.count, s.total)}</span></div>`).join('\n');
+    const qu = !s.qWords.length ? ''
+        : !s.qBroken.length ? ' And in every single Q answer, the Q is followed by U — the QU rule has never been broken.'
+            : ` The QU rule has been broken ${spell(s.qBroken.length)} time${s.qBroken.length === 1 ? '' : 's'}: ${inline(s.qBroken)}.`;
+    blocks.RARE = `
+        <section>
+            <h2>The Rare Letters</h2>
+            <div class="letter-strip">
+${rareChips}
+            </div>
+            <p>${s.rarest.letter} is the rarest letter in Wordle history — just ${s.rarest.count} appearances (${inline(s.rarestWords.slice(0, 5))}${s.rarestWords.length > 5 ? '…' : ''}).${qu}</p>
+        </section>
+        `;
+
+    const [lead, ...rest] = s.families;
+    const sameSize = rest.length && rest.every(f => f.words.length === rest[0].words.length);
+    const restText = !rest.length ? ''
+        : sameSize ? `, and ${spell(rest[0].words.length)} each share ${andList(rest.map(f => `<strong>-${f.ending}</strong>`))}`
+            : `, followed by ${andList(rest.map(f => `<strong>-${f.ending}</strong> (${f.words.length})`))}`;
+    blocks.FAMILIES = lead ? `
+        <section>
+            <h2>Word Families That Keep Coming Back</h2>
+            <p>Some endings are minefields. ${capital(spell(lead.words.length))} answers share the <strong>-${lead.ending}</strong> pattern (${inline(lead.words)})${restText}. When you hit one of these with four greens, guess a word that packs several candidate first letters instead of testing them one by one — our <a href="/how-to-win/">strategy guide</a> covers exactly this trap.</p>
+        </section>
+        ` : '\n        ';
+
+    const reverse = s.reverse.length
+        ? `Reverse alphabetical order has come up ${s.reverse.length === 1 ? 'once' : `${spell(s.reverse.length)} times`}: ${inline(s.reverse)}.`
+        : 'None has ever been in reverse alphabetical order… yet.';
+    blocks.ORDER = `
+        <section>
+            <h2>One More for the Road</h2>
+            <p><strong>${s.alphabetical.length} answers</strong> have their letters in perfect alphabetical order — words like ${inline(s.alphabetical.slice(0, 3))} and ${inline(s.alphabetical.slice(3, 4))}. ${reverse}</p>
+            <p>Want to put these numbers to work? See the <a href="/best-starting-words/">best starting words</a> ranked against this same archive, or check whether any word has <a href="/">already been an answer</a>.</p>
+        </section>
+        `;
+
+    const faq = faqItems(s);
+    blocks.FAQ = `
+        <section class="seo-content">
+            <h2>Frequently Asked Questions</h2>
+${faq.map(f => `            <details>
+                <summary>${f.q}</summary>
+                <p>${f.html}</p>
+            </details>`).join('\n')}
+        </section>
+        `;
+
+    const ld = {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: faq.map(f => ({ '@type': 'Question', name: f.q, acceptedAnswer: { '@type': 'Answer', text: f.ld } }))
+    };
+    blocks['FAQ-LD'] = `
+    <script type="application/ld+json">
+    ${JSON.stringify(ld, null, 4).replace(/\n/g, '\n    ')}
+    </script>
+    `;
+
+    return blocks;
+}
+
+/* repoDir: the working copy to rebuild — update_wordle.js passes its own,
+ * which differs from this script's directory in a dry run */
+function build(repoDir = REPO_DIR) {
+    const pagePath = path.join(repoDir, PAGE);
+    const stats = compute(answerWords(repoDir));
+    const { html: injected, missing } = inject(fs.readFileSync(pagePath, 'utf-8'), render(stats), 'STATS');
+
+    // ── answer count in <head> descriptions and the subtitle ──
+    const count = fmt(stats.total);
+    const html = injected
+        .replace(/all [\d,]+ real (Wordle )?answers/g, (_, w) => `all ${count} real ${w || ''}answers`)
+        .replace(/all <span>[\d,]+<\/span> real/g, `all <span>${count}</span> real`);
+
+    fs.writeFileSync(pagePath, html);
+    return { words: stats.total, missing };
+}
+
+if (require.main === module) {
+    const r = build();
+    r.missing.forEach(m => console.warn(`${PAGE}: markers for ${m} not found — section left as is`));
+    console.log(`Wrote ${PAGE}: figures from ${r.words} answers`);
+}
+
+module.exports = { build, compute, render };
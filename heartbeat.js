@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/*
+ * heartbeat.js
+ * ------------
+ * Alerts when the daily updater has gone quiet. A run that crashes still
+ * sends its own summary; a cron entry that never fires (host down, crontab
+ * lost, node missing) sends nothing, so this checks from the outside:
+ * meta.json's ran_at must be younger than the limit.
+ *
+ *   node heartbeat.js                          # WORDLELIST_REPO_DIR/meta.json
+ *   node heartbeat.js --url=https://wordlelist.com/meta.json
+ *                                              # what the live site serves —
+ *                                              # also catches a stuck deploy
+ *   node heartbeat.js --max-age=30             # hours (default 26: a day plus slack)
+ *
+ * Alerts go through notify.js like the run summaries, at error level. One
+ * alert per stale ran_at — later checks stay quiet until the updater runs
+ * again, which sends one "recovered" message. That state lives in
+ * os.tmpdir()/wordlelist-heartbeat.json. Exit code 1 while stale.
+ *
+ * Give it its own cron entry, a few times a day:
+ *   0 4,16 * * * /usr/bin/node /path/to/heartbeat.js >> /tmp/wordlelist_update.log 2>&1
+ */
+'use strict';
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { send } = require('./notify.js');
+
+const REPO_DIR = process.env.WORDLELIST_REPO_DIR || '/home/eithan/wordlelist';
+const STATE_FILE = path.join(os.tmpdir(), 'wordlelist-heartbeat.json');
+const DEFAULT_MAX_AGE_HOURS = 26;
+
+function log(msg) {
+    console.log(`[${new Date().toISOString()}] heartbeat: ${msg}`);
+}
+
+function fetchJson(url) {
+    const client = url.startsWith('http:') ? http : https;
+    return new Promise((resolve, reject) => {
+        // cache-busting: Pages' CDN would otherwise answer with a stale copy
+        const req = client.get(`${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`, res => {
+            if (res.statusCode !== 200) { res.resume(); return reject(new Error(`HTTP ${res.statusCode} from ${url}`)); }
+            let data = '';
+            res.on('data', c => data += c);
+            res.on('end', () => {
+                try { resolve(JSON.parse(data)); }
+                catch (e) { reject(new Error(`Bad JSON: ${e.message}`)); }
+            });
+        });
+        req.on('error', reject);
+        req.setTimeout(15000, () => req.destroy(new Error('Timeout')));
+    });
+}
+
+/* { ranAt, ageHours, wordleDate } — or throws when meta.json can't be read */
+async function readHeartbeat({ url = null, repoDir = REPO_DIR, now = Date.now() } = {}) {
+    const meta = url ? await fetchJson(url)
+        : JSON.parse(fs.readFileSync(path.join(repoDir, 'meta.json'), 'utf-8'));
+    const t = Date.parse(meta.ran_at);
+    if (isNaN(t)) throw new Error(`meta.json has no usable ran_at (${JSON.stringify(meta.ran_at)})`);
+    return { ranAt: meta.ran_at, ageHours: (now - t) / 3600000, wordleDate: meta.wordle_date || null };
+}
+
+function readState() {
+    try { return JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8')); } catch (_) { return {}; }
+}
+
+/* Returns { stale, alerted } and sends at most one message. */
+async function check({ url = null, maxAgeHours = DEFAULT_MAX_AGE_HOURS } = {}) {
+    const source = url || path.join(REPO_DIR, 'meta.json');
+    const state = readState();
+    let beat = null;
+    let problem = null;
+    try {
+        beat = await readHeartbeat({ url });
+        if (beat.ageHours > maxAgeHours) {
+            problem = `last run ${beat.ranAt} — ${Math.floor(beat.ageHours)}h ago, over the ${maxAgeHours}h limit`;
+        }
+    } catch (e) {
+        problem = `can't read ${source}: ${e.message}`;
+    }
+
+    const key = beat ? beat.ranAt : 'unreadable';
+    if (problem) {
+        log(`❌ ${problem}`);
+        if (state.alerted === key) { log('already alerted for this — staying quiet'); return { stale: true, alerted: false }; }
+        await report(send({
+            source: 'wordlelist-heartbeat',
+            title: beat ? 'Wordle updater missed its run' : 'Wordle heartbeat can\'t read meta.json',
+            level: 'error',
+            facts: [{ name: 'Checked', value: source }].concat(beat ? [{ name: 'wordle_date', value: beat.wordleDate || '(none)' }] : []),
+            errors: [problem]
+        }));
+        fs.writeFileSync(STATE_FILE, JSON.stringify({ alerted: key }) + '\n');
+        return { stale: true, alerted: true };
+    }
+
+    log(`ok — last run ${beat.ranAt} (${beat.ageHours.toFixed(1)}h ago)`);
+    if (state.alerted) {
+        await report(send({
+            source: 'wordlelist-heartbeat',
+            title: 'Wordle updater is running again',
+            level: 'ok',
+            facts: [{ name: 'Last run', value: beat.ranAt }, { name: 'wordle_date', value: beat.wordleDate || '(none)' }]
+        }));
+        fs.rmSync(STATE_FILE, { force: true });
+    }
+    return { stale: false, alerted: false };
+}
+
+async function report(sending) {
+    const results = await sending;
+    if (!results.length) log('⚠️  no notifier configured — alert not sent');
+    results.forEach(r => {
+        if (r.sent) log(`sent to ${r.name}`);
+        else if (r.error) log(`⚠️  ${r.name} notify failed: ${r.error}`);
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const opt = name => (args.find(a => a.startsWith(`--${name}=`)) || '').slice(name.length + 3) || null;
+    const maxAgeHours = Number(opt('max-age') || process.env.WORDLELIST_HEARTBEAT_HOURS || DEFAULT_MAX_AGE_HOURS);
+    if (!(maxAgeHours > 0)) { console.error('--max-age must be a positive number of hours'); process.exit(2); }
+    check({ url: opt('url'), maxAgeHours })
+        .then(r => process.exit(r.stale ? 1 : 0))
+        .catch(e => { log(`❌ ${e.message}`); process.exit(1); });
+}
+
+module.exports = { check, readHeartbeat };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/*
+ * notify.js
+ * ---------
+ * Where the daily updater's run summaries and the heartbeat's alerts go.
+ * Every backend takes the same summary object and renders it its own way:
+ *
+ *   { source, title, level, facts: [{ name, value }], warnings: [...],
+ *     errors: [...], url, at }
+ *
+ * level is "ok", "warning" or "error" — the worst thing that happened. It
+ * escalates the message: amber for warnings; red plus an @here ping (chat)
+ * or a high-priority subject (mail) for errors.
+ *
+ * Backends are switched on by their env var; each has its own quietest level
+ * (<PREFIX>_LEVEL = ok | warning | error), so mail can stay silent on good days:
+ *
+ *   DISCORD_WEBHOOK_URL   Discord webhook (the …/github compat form works too)     ok
+ *   SLACK_WEBHOOK_URL     Slack incoming webhook or any Slack-compatible one
+ *                         (Mattermost, Rocket.Chat)                                ok
+ *   NOTIFY_WEBHOOK_URL    generic webhook — the summary POSTed as JSON             ok
+ *   NOTIFY_EMAIL_TO       mail piped to a sendmail-compatible command:            warning
+ *                         NOTIFY_SENDMAIL (default "/usr/sbin/sendmail -t"),
+ *                         From: NOTIFY_EMAIL_FROM
+ *
+ * Everything here is best-effort: send() never throws or rejects, it reports
+ * each backend's outcome, so a notification hiccup never fails a run.
+ *
+ * Try a backend by hand:
+ *   DISCORD_WEBHOOK_URL=… node notify.js --level=warning "Test message"
+ */
+'use strict';
+const { execSync } = require('child_process');
+const http = require('http');
+const https = require('https');
+
+const LEVELS = ['ok', 'warning', 'error'];
+const ICON = { ok: '✅', warning: '⚠️', error: '❌' };
+const COLOR = { ok: 0x2ea043, warning: 0xbf8700, error: 0xd1242f };   // green / amber / red
+const USER_AGENT = 'wordlelist-deploy-bot/1.0 (+https://wordlelist.com)';
+const MAX_LINES = 15;   // warnings / errors listed per message; the log has the rest
+
+const rank = level => Math.max(0, LEVELS.indexOf(level));
+
+/* the worst of { warnings, errors } as a level */
+function levelOf({ warnings = [], errors = [] }) {
+    return errors.length ? 'error' : warnings.length ? 'warning' : 'ok';
+}
+
+/* ── rendering ── */
+
+function listed(title, items) {
+    if (!items || !items.length) return [];
+    const shown = items.slice(0, MAX_LINES).map(s => `• ${s}`);
+    if (items.length > MAX_LINES) shown.push(`• … and ${items.length - MAX_LINES} more`);
+    return [`${title}:`].concat(shown);
+}
+
+/* plain text, for mail and the dry-run log */
+function toText(summary) {
+    return [`${ICON[summary.level]} ${summary.title}`]
+        .concat((summary.facts || []).map(f => `${f.name}: ${f.value}`))
+        .concat(listed('Errors', summary.errors), listed('Warnings', summary.warnings))
+        .concat(summary.url ? [summary.url] : [])
+        .join('\n');
+}
+
+/* ── transport ── */
+
+/* POST JSON; resolves with the status code, rejects on a network error or a
+ * non-2xx answer. http: is allowed for a local stand-in. */
+function postJson(url, payload) {
+    const u = new URL(url);
+    const client = u.protocol === 'http:' ? http : https;
+    const body = JSON.stringify(payload);
+    return new Promise((resolve, reject) => {
+        const req = client.request(u, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                // Discord's edge (Cloudflare) can 403 a request with no User-Agent.
+                'User-Agent': USER_AGENT
+            }
+        }, res => {
+            res.resume();
+            res.on('end', () => res.statusCode >= 300
+                ? reject(new Error(`HTTP ${res.statusCode}`)) : resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.setTimeout(15000, () => req.destroy(new Error('Timeout')));
+        req.end(body);
+    });
+}
+
+/* ── backends ──
+ *  Each is { name, level, send(summary) → Promise }. */
+
+function discord(url, level = 'ok') {
+    url = url.replace(/\/github\/?$/, '');   // native Discord endpoint, not the GH-compat one
+    return {
+        name: 'discord', level,
+        send: s => postJson(url, {
+            // Posted as "GitHub API" — deliberately distinct from the "GitHub"
+            // push messages the repo webhook already sends to the same channel.
+            username: 'GitHub API',
+            avatar_url: 'https://github.githubassets.com/images/modules/logos_page/GitHub-Mark.png',
+            content: s.level === 'error' ? '@here' : undefined,
+            allowed_mentions: { parse: s.level === 'error' ? ['everyone'] : [] },
+            embeds: [{
+                title: `${ICON[s.level]} ${s.title}`.slice(0, 256),
+                url: s.url || undefined,
+                description: listed('Errors', s.errors).concat(listed('Warnings', s.warnings)).join('\n').slice(0, 4000) || undefined,
+                fields: (s.facts || []).map(f => ({ name: f.name, value: String(f.value).slice(0, 1024), inline: true })),
+                color: COLOR[s.level],
+                timestamp: s.at
+            }]
+        })
+    };
+}
+
+function slack(url, level = 'ok') {
+    return {
+        name: 'slack', level,
+        send: s => postJson(url, {
+            text: `${s.level === 'error' ? '<!here> ' : ''}${ICON[s.level]} ${s.title}`,
+            attachments: [{
+                color: `#${COLOR[s.level].toString(16).padStart(6, '0')}`,
+                title_link: s.url || undefined,
+                fields: (s.facts || []).map(f => ({ title: f.name, value: String(f.value), short: true })),
+                text: listed('Errors', s.errors).concat(listed('Warnings', s.warnings)).join('\n') || undefined,
+                ts: Math.floor(Date.parse(s.at) / 1000)
+            }]
+        })
+    };
+}
+
+/* the summary as is — for anything that wants to do its own routing */
+function webhook(url, level = 'ok') {
+    return { name: 'webhook', level, send: s => postJson(url, s) };
+}
+
+/* An RFC 822 message on stdin of a sendmail-compatible command — sendmail,
+ * msmtp, ssmtp, or a stand-in like "tee -a /tmp/mail.txt" when testing. */
+function email(to, { command = '/usr/sbin/sendmail -t', from = 'wordlelist <noreply@wordlelist.com>' } = {}, level = 'warning') {
+    return {
+        name: 'email', level,
+        send: s => new Promise(resolve => {
+            const headers = [
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: [wordlelist] ${s.level === 'ok' ? '' : s.level.toUpperCase() + ': '}${s.title}`,
+                `Date: ${new Date(s.at).toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                'Content-Transfer-Encoding: 8bit'
+            ].concat(s.level === 'error' ? ['X-Priority: 1', 'Importance: high'] : []);
+            execSync(command, { input: `${headers.join('\n')}\n\n${toText(s)}\n`, stdio: ['pipe', 'ignore', 'pipe'], timeout: 30000 });
+            resolve();
+        })
+    };
+}
+
+/* the backends the environment switches on */
+function fromEnv(env = process.env) {
+    const lvl = (name, fallback) => LEVELS.includes(env[name]) ? env[name] : fallback;
+    const backends = [];
+    if (env.DISCORD_WEBHOOK_URL) backends.push(discord(env.DISCORD_WEBHOOK_URL, lvl('DISCORD_LEVEL', 'ok')));
+    if (env.SLACK_WEBHOOK_URL) backends.push(slack(env.SLACK_WEBHOOK_URL, lvl('SLACK_LEVEL', 'ok')));
+    if (env.NOTIFY_WEBHOOK_URL) backends.push(webhook(env.NOTIFY_WEBHOOK_URL, lvl('NOTIFY_WEBHOOK_LEVEL', 'ok')));
+    if (env.NOTIFY_EMAIL_TO) {
+        backends.push(email(env.NOTIFY_EMAIL_TO, {
+            command: env.NOTIFY_SENDMAIL || undefined,
+            from: env.NOTIFY_EMAIL_FROM || undefined
+        }, lvl('NOTIFY_EMAIL_LEVEL', 'warning')));
+    }
+    return backends;
+}
+
+/* Send the summary to every backend whose level it reaches. level and at are
+ * filled in when missing. Resolves with [{ name, sent, error }] — never rejects. */
+async function send(summary, backends = fromEnv()) {
+    const s = Object.assign({ source: 'wordlelist', facts: [], warnings: [], errors: [] }, summary);
+    s.level = s.level || levelOf(s);
+    s.at = s.at || new Date().toISOString();
+    return Promise.all(backends.map(b => {
+        if (rank(s.level) < rank(b.level)) return { name: b.name, sent: false, error: null };
+        return Promise.resolve()
+            .then(() => b.send(s))
+            .then(() => ({ name: b.name, sent: true, error: null }),
+                e => ({ name: b.name, sent: false, error: e.message.split('\n')[0] }));
+    }));
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const level = (args.find(a => a.startsWith('--level=')) || '--level=ok').slice('--level='.length);
+    const title = args.filter(a => !a.startsWith('--')).join(' ') || 'Test notification';
+    const backends = fromEnv();
+    if (!backends.length) {
+        console.log('No backends configured — set DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL, NOTIFY_WEBHOOK_URL or NOTIFY_EMAIL_TO');
+        process.exit(1);
+    }
+    const test = { title, level, warnings: level === 'ok' ? [] : ['this is a test'] };
+    send(test, backends).then(results => {
+        results.forEach(r => console.log(`${r.name}: ${r.sent ? 'sent' : r.error ? `failed (${r.error})` : `skipped (below ${backends.find(b => b.name === r.name).level})`}`));
+        process.exit(results.some(r => r.error) ? 1 : 0);
+    });
+}
+
+module.exports = { send, fromEnv, levelOf, toText, discord, slack, webhook, email, LEVELS };
@@ -0,0 +1,183 @@
+/*
+ * sw.js
+ * -----
+ * Service worker: makes the site usable offline and quick on bad
+ * connections, without ever letting a cache decide which puzzle is today's.
+ *
+ *   day files   words.txt, current.txt, prior.txt, safe.txt, meta.json,
+ *               schedule.json — always fetched fresh; the copy kept is only
+ *               for offline use, and only while it is still right for the
+ *               device's date (see offlineSafe)
+ *   data files  played-dates.json, api/v1/ — they change with every
+ *               rotation, so network first like the pages, the last copy
+ *               offline; so is any request made with cache 'no-store' or
+ *               'no-cache'
+ *   pages       network first, the last copy offline
+ *   the rest    solver-words.txt, icons … — served from cache and
+ *               revalidated in the background
+ *
+ * Anything served from the cache while offline carries an
+ * X-Wordlelist-Offline header (when it was saved); the pages' freshness()
+ * check sees it on meta.json and shows a "data may be stale" note.
+ *
+ * Bump VERSION when the list of precached files changes; old caches are
+ * dropped on activate.
+ */
+'use strict';
+
+var VERSION = 'v5';
+var PAGE_CACHE   = 'wordlelist-pages-' + VERSION;
+var DATA_CACHE   = 'wordlelist-day-' + VERSION;
+var STATIC_CACHE = 'wordlelist-static-' + VERSION;
+
+var PRECACHE_PAGES  = ['/', '/hint/', '/solver/', '/practice/', '/tracker/'];
+var PRECACHE_STATIC = ['/word_logic.js?v=3', '/solver-words.txt?v=2', '/manifest.webmanifest', '/favicon.svg', '/apple-touch-icon.png'];
+
+/* the shared rules (localDate) — the same URL the pages load and the
+   static cache holds, so it's one copy of the file */
+importScripts('/word_logic.js?v=3');
+
+/* the files the timezone gate reads — the pages fetch them with no-store */
+var DAY_FILES = ['/words.txt', '/current.txt', '/prior.txt', '/safe.txt', '/meta.json', '/schedule.json'];
+
+/* history the update job rewrites every day — a cached copy goes stale at rotation */
+function isDataFile(url, req) {
+    return url.pathname === '/played-dates.json' || url.pathname.indexOf('/api/') === 0 ||
+        req.cache === 'no-store' || req.cache === 'no-cache';
+}
+
+/* ── install / activate ── */
+self.addEventListener('install', function (e) {
+    /* one missing file must not block the install — add them one by one */
+    function fill(name, urls) {
+        return caches.open(name).then(function (cache) {
+            return Promise.all(urls.map(function (u) { return cache.add(u).catch(function () { }); }));
+        });
+    }
+    e.waitUntil(Promise.all([fill(PAGE_CACHE, PRECACHE_PAGES), fill(STATIC_CACHE, PRECACHE_STATIC)])
+        .then(function () { return self.skipWaiting(); }));
+});
+
+self.addEventListener('activate', function (e) {
+    var keep = [PAGE_CACHE, DATA_CACHE, STATIC_CACHE];
+    e.waitUntil(caches.keys().then(function (names) {
+        return Promise.all(names.filter(function (n) { return keep.indexOf(n) === -1; })
+            .map(function (n) { return caches.delete(n); }));
+    }).then(function () { return self.clients.claim(); }));
+});
+
+/* ── helpers ── */
+
+/* a copy of res with extra headers (Response headers are read-only) */
+function withHeaders(res, extra) {
+    return res.blob().then(function (body) {
+        var headers = new Headers(res.headers);
+        Object.keys(extra).forEach(function (k) { headers.set(k, extra[k]); });
+        return new Response(body, { status: res.status, statusText: res.statusText, headers: headers });
+    });
+}
+
+/* ── day files ──
+ *  The saved set answers offline only while the gate would still pick the
+ *  right puzzle from it: the device's date is no later than the saved
+ *  meta.json's wordle_date (current/prior still cover it), or the saved
+ *  schedule.json has an entry for it. Past that, a network error —
+ *  exactly what the pages already handle with no service worker at all —
+ *  rather than yesterday's answer presented as today's.
+ */
+function offlineSafe(cache) {
+    var today = WordLogic.localDate();   // same local date the pages use
+    return Promise.all([
+        cache.match('/meta.json').then(function (r) { return r ? r.json() : null; }).catch(function () { return null; }),
+        cache.match('/schedule.json').then(function (r) { return r ? r.json() : null; }).catch(function () { return null; })
+    ]).then(function (res) {
+        var meta = res[0], schedule = res[1];
+        if (meta && meta.wordle_date && today <= meta.wordle_date) return true;
+        return !!(schedule && Array.isArray(schedule.days) &&
+            schedule.days.some(function (d) { return d.date === today; }));
+    });
+}
+
+/* network first; the fresh copy is saved (stamped X-Wordlelist-Saved) and,
+   offline, served back marked X-Wordlelist-Offline — if usable(cache) agrees */
+function savedCopy(req, path, usable) {
+    return fetch(req).then(function (res) {
+        if (res.ok) {
+            var copy = res.clone();
+            caches.open(DATA_CACHE).then(function (cache) {
+                return withHeaders(copy, { 'X-Wordlelist-Saved': new Date().toISOString() })
+                    .then(function (saved) { return cache.put(path, saved); });
+            });
+        }
+        return res;
+    }, function () {
+        return caches.open(DATA_CACHE).then(function (cache) {
+            return usable(cache).then(function (ok) {
+                return ok ? cache.match(path) : null;
+            });
+        }).then(function (saved) {
+            if (!saved) return Response.error();
+            return withHeaders(saved, { 'X-Wordlelist-Offline': saved.headers.get('X-Wordlelist-Saved') || 'unknown' });
+        });
+    });
+}
+
+function dayFile(req, path) { return savedCopy(req, path, offlineSafe); }
+
+/* ── data files: network first, the last copy offline ──
+ *  No date makes a saved history wrong, only out of date, so offline it is
+ *  always served (marked, like the day files).
+ */
+function dataFile(req, path) {
+    return savedCopy(req, path, function () { return Promise.resolve(true); });
+}
+
+/* ── pages: network first ── */
+function page(req, path) {
+    return fetch(req).then(function (res) {
+        if (res.ok) {
+            var copy = res.clone();
+            caches.open(PAGE_CACHE).then(function (cache) { return cache.put(path, copy); });
+        }
+        return res;
+    }, function () {
+        return caches.open(PAGE_CACHE).then(function (cache) { return cache.match(path); }).then(function (saved) {
+            return saved || new Response(
+                '<!DOCTYPE html><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">' +
+                '<title>Offline – Wordlelist</title><body style="background:#121213;color:#d7dadc;font-family:system-ui,sans-serif;text-align:center;padding:3rem 1.5rem">' +
+                '<h1 style="font-size:1.3rem">You\'re offline</h1><p style="color:#818384">This page hasn\'t been saved for offline use yet. ' +
+                '<a href="/" style="color:#538d4e">Past answers</a> and <a href="/solver/" style="color:#538d4e">the helper</a> work offline.</p>',
+                { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+        });
+    });
+}
+
+/* ── everything else: cache, revalidated in the background ── */
+function revalidated(e) {
+    return caches.open(STATIC_CACHE).then(function (cache) {
+        return cache.match(e.request).then(function (saved) {
+            var fresh = fetch(e.request).then(function (res) {
+                if (res.ok) cache.put(e.request, res.clone());
+                return res;
+            });
+            if (saved) {
+                e.waitUntil(fresh.catch(function () { }));
+                return saved;
+            }
+            return fresh;
+        });
+    });
+}
+
+self.addEventListener('fetch', function (e) {
+    var req = e.request;
+    if (req.method !== 'GET') return;
+    var url = new URL(req.url);
+    if (url.origin !== self.location.origin) return;   /* analytics beacon etc. */
+
+    /* keyed by path: meta.json?_=… and ?q=… share one entry */
+    if (DAY_FILES.indexOf(url.pathname) !== -1) e.respondWith(dayFile(req, url.pathname));
+    else if (req.mode === 'navigate') e.respondWith(page(req, url.pathname));
+    else if (isDataFile(url, req)) e.respondWith(dataFile(req, url.pathname));
+    else if (url.pathname !== '/sw.js') e.respondWith(revalidated(e));
+});
@@ -0,0 +1,28 @@
+/*
+ * test/build_archive.test.js
+ * --------------------------
+ * The letter facts on each word/WORD/ archive page.
+ *
+ *   node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { letterFacts } = require('../build_archive.js');
+
+test('letterFacts: vowels and consonants', () => {
+    assert.equal(letterFacts('CRANE')[0], '2 vowels (A and E) and 3 consonants');
+    assert.equal(letterFacts('QUEUE')[0], '4 vowels (U and E) and 1 consonant');
+});
+
+test('letterFacts: no vowels credits Y only when the word has one', () => {
+    assert.equal(letterFacts('NYMPH')[0], 'no vowels at all — Y does the work');
+    assert.equal(letterFacts('CRWTH')[0], 'no vowels at all');
+});
+
+test('letterFacts: repeats, doubles and alphabetical order', () => {
+    assert.deepEqual(letterFacts('GEESE').slice(1), ['repeated letter: E (×3) — a double EE']);
+    assert.deepEqual(letterFacts('ABBEY').slice(1), ['repeated letter: B — a double BB', 'its letters are in alphabetical order']);
+    assert.deepEqual(letterFacts('CRANE').slice(1), ['five different letters — no repeats']);
+});
@@ -0,0 +1,192 @@
+/*
+ * test/update_wordle.test.js
+ * --------------------------
+ * End to end: the daily updater against the API stand-in, on a throwaway
+ * copy of the repo. One puzzle day past the copy's meta.wordle_date, once
+ * with the API answering and once with every request failing.
+ *
+ *   node --test test/
+ *
+ * The updater runs as --dry-run --keep, so nothing is pulled, committed or
+ * pushed, and the files it wrote are checked in the copy it keeps. Both
+ * temp dirs are removed afterwards.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+
+const { start } = require('../wordle_api_standin.js');
+const { parseAnswers, puzzleNumber, shiftDate, wordList } = require('../word_logic.js');
+
+const ROOT = path.join(__dirname, '..');
+const SKIP = new Set(['.git', 'node_modules', 'test']);
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf-8');
+const readWord = (dir, file) => read(dir, file).trim().toUpperCase();
+const readJSON = (dir, file) => JSON.parse(read(dir, file));
+const newestEntry = dir => parseAnswers(read(dir, 'answers.txt').split('\n')).entries
+    .reduce((best, e) => (!best || e.num > best.num ? e : best), null);
+
+/* the copy's state before the run, and the day after it */
+function snapshot(dir) {
+    const meta = readJSON(dir, 'meta.json');
+    return {
+        meta,
+        today: shiftDate(meta.wordle_date, 1),
+        safe: readWord(dir, 'safe.txt'),
+        prior: readWord(dir, 'prior.txt'),
+        current: readWord(dir, 'current.txt'),
+        words: wordList(read(dir, 'words.txt')),
+        newest: newestEntry(dir)
+    };
+}
+
+/* serve the stand-in on a free port; resolves to { server, base } */
+async function standIn(opts) {
+    const server = start(Object.assign({ port: 0 }, opts));
+    await once(server, 'listening');
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+/* run the updater as cron would, dry; resolves to { stdout, dir }. The copy
+   it works in is queued for removal first, so a failed run can't leak it. */
+async function runUpdater(repoDir, apiBase, date) {
+    let stdout;
+    try {
+        ({ stdout } = await execFile(process.execPath,
+            [path.join(ROOT, 'update_wordle.js'), '--dry-run', '--keep', `--date=${date}`], {
+                env: Object.assign({}, process.env, { WORDLELIST_REPO_DIR: repoDir, WORDLELIST_API_BASE: apiBase }),
+                maxBuffer: 256 * 1024 * 1024,
+                timeout: 240000
+            }));
+    } catch (e) {
+        stdout = e.stdout || '';
+        throw e;
+    } finally {
+        const copy = /Dry run in (\S+)/.exec(stdout || '');
+        if (copy) temps.push(copy[1]);
+    }
+    const kept = stdout.match(/Dry-run copy kept at (\S+)/);
+    assert.ok(kept, 'updater kept its dry-run copy');
+    return { stdout, dir: kept[1] };
+}
+
+/* one fixture file per date, in the shape the real endpoint serves */
+function writeFixture(dir, date, word) {
+    const num = puzzleNumber(date);
+    fs.writeFileSync(path.join(dir, `${date}.json`), JSON.stringify({
+        id: num, solution: word.toLowerCase(), print_date: date, days_since_launch: num, editor: 'Test'
+    }));
+}
+
+const temps = [];
+let repo, before;
+
+test.before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'wordlelist-e2e-'));
+    temps.push(repo);
+    fs.cpSync(ROOT, repo, { recursive: true, filter: src => !SKIP.has(path.relative(ROOT, src)) });
+    before = snapshot(repo);
+});
+
+test.after(() => {
+    temps.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('a normal day: rotate, record the safe answer, inject the list, refresh the openers', async () => {
+    // today's word: a valid guess that has never been an answer
+    const newWord = wordList(read(repo, 'solver-words.txt'))
+        .find(w => !before.words.includes(w) && ![before.safe, before.prior, before.current].includes(w));
+    const fixtures = fs.mkdtempSync(path.join(os.tmpdir(), 'wordlelist-fixtures-'));
+    temps.push(fixtures);
+    writeFixture(fixtures, shiftDate(before.meta.wordle_date, -1), before.prior);
+    writeFixture(fixtures, before.meta.wordle_date, before.current);
+    writeFixture(fixtures, before.today, newWord);
+
+    // the safe word is about to become a past answer, so the list must be recomputed
+    const stale = [before.safe].concat(before.meta.fresh_openers.filter(w => w !== before.safe).slice(0, 4));
+    fs.writeFileSync(path.join(repo, 'meta.json'),
+        JSON.stringify(Object.assign({}, before.meta, { fresh_openers: stale }), null, 2) + '\n');
+
+    const { server, base } = await standIn({ repoDir: repo, fixturesDir: fixtures, today: before.today });
+    let out;
+    try {
+        out = await runUpdater(repo, base, before.today);
+    } finally {
+        server.close();
+        fs.writeFileSync(path.join(repo, 'meta.json'), JSON.stringify(before.meta, null, 2) + '\n');
+    }
+    const dir = out.dir;
+
+    assert.doesNotMatch(out.stdout, /Integrity check found/);
+    assert.doesNotMatch(out.stdout, /❌/);
+
+    // rotation
+    assert.equal(readWord(dir, 'safe.txt'), before.prior);
+    assert.equal(readWord(dir, 'prior.txt'), before.current);
+    assert.equal(readWord(dir, 'current.txt'), newWord);
+    const words = wordList(read(dir, 'words.txt'));
+    assert.ok(words.includes(before.safe));
+    assert.deepEqual(words, words.slice().sort());
+
+    // appendHistory: yesterday's answer is now safe and goes on top
+    const newest = newestEntry(dir);
+    assert.equal(newest.word, before.prior);
+    assert.equal(newest.num, before.newest.num + 1);
+    assert.equal(newest.date, shiftDate(before.today, -2));
+    assert.match(read(dir, 'answers.txt'), new RegExp(`^${before.prior} ${newest.num} \\d{2}/\\d{2}/\\d{2}@?$`, 'm'));
+
+    // injectWordList: words.txt plus the new safe word, never a live answer
+    const block = read(dir, 'index.html').match(/<p class="static-wordlist">([^<]*)<\/p>/);
+    assert.ok(block, 'static word list injected');
+    const listed = block[1].split(' ');
+    assert.ok(listed.includes(before.safe) && listed.includes(before.prior));
+    assert.ok(!listed.includes(newWord));
+
+    // meta.json and computeFreshOpeners
+    const meta = readJSON(dir, 'meta.json');
+    assert.equal(meta.wordle_date, before.today);
+    const ranked = readJSON(dir, 'openers.json').ranked.map(r => r.word);
+    assert.deepEqual(meta.fresh_openers, ranked.filter(w => !words.includes(w)).slice(0, 5));
+    assert.ok(!meta.fresh_openers.includes(before.safe));
+});
+
+test('--fail: the API is down, the day still rotates from what the repo knows', async () => {
+    const { server, base } = await standIn({ repoDir: repo, today: before.today, fail: ['all'] });
+    let out;
+    try {
+        out = await runUpdater(repo, base, before.today);
+    } finally {
+        server.close();
+    }
+    const dir = out.dir;
+
+    assert.match(out.stdout, new RegExp(`❌ NYT API failed for ${before.today} — current.txt unchanged`));
+    assert.doesNotMatch(out.stdout, /FATAL/);
+
+    // rotation goes ahead; today's word is the one thing it can't know
+    assert.equal(readWord(dir, 'safe.txt'), before.prior);
+    assert.equal(readWord(dir, 'prior.txt'), before.current);
+    assert.equal(readWord(dir, 'current.txt'), before.current);
+    assert.ok(wordList(read(dir, 'words.txt')).includes(before.safe));
+
+    // appendHistory falls back to the word that just rotated into safe.txt
+    const newest = newestEntry(dir);
+    assert.equal(newest.word, before.prior);
+    assert.equal(newest.num, before.newest.num + 1);
+
+    // injectWordList still runs
+    assert.match(read(dir, 'index.html'), new RegExp(`<p class="static-wordlist">[^<]*\\b${before.prior}\\b`));
+
+    // the saved openers hold no past answer, so computeFreshOpeners carries them forward
+    const meta = readJSON(dir, 'meta.json');
+    assert.equal(meta.wordle_date, before.today);
+    assert.deepEqual(meta.fresh_openers, before.meta.fresh_openers);
+});
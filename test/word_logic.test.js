@@ -0,0 +1,301 @@
+/*
+ * test/word_logic.test.js
+ * -----------------------
+ * Unit tests for word_logic.js — the rules every page and script shares.
+ *
+ *   node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WL = require('../word_logic.js');
+
+/* feedback() code for a five-letter string of states, e.g. '20100' */
+const code = s => parseInt(s, 10);
+
+/* ── Wordle's coloring ── */
+
+test('feedback: greens, yellows and grays', () => {
+    assert.equal(WL.feedback('CRANE', 'CRANE'), code('22222'));
+    assert.equal(WL.feedback('CRANE', 'ABIDE'), code('00102'));
+    assert.equal(WL.feedback('FUZZY', 'CRANE'), 0);
+});
+
+test('feedback: a repeated guess letter is yellow only as often as the answer has it', () => {
+    // SPEED vs ABIDE: one E in the answer, so only the first E lights up
+    assert.equal(WL.feedback('SPEED', 'ABIDE'), code('00101'));
+});
+
+test('feedback: greens claim their letter before any yellow does', () => {
+    // the answer's only E is green at the end, so the earlier Es stay gray
+    assert.equal(WL.feedback('EEEEE', 'ABIDE'), code('00002'));
+    // THREE has two Es: one green at the end, one left over for the first E
+    assert.equal(WL.feedback('EERIE', 'THREE'), code('10202'));
+    // FLOOR: O green in 4th, the other O still yellow for ROBOT's 2nd letter
+    assert.equal(WL.feedback('ROBOT', 'FLOOR'), code('11020'));
+});
+
+test('patternStates splits a feedback code back into five states', () => {
+    assert.deepEqual(WL.patternStates(code('00102')), [0, 0, 1, 0, 2]);
+    assert.deepEqual(WL.patternStates(code('22222')), [2, 2, 2, 2, 2]);
+});
+
+/* ── timezone gate ── */
+
+const SCHEDULE = {
+    days: [
+        { date: '2026-08-22', word: 'aback', num: 1890 },
+        { date: '2026-08-23', word: 'BLOKE', num: 1891 },
+        { date: '2026-08-24', word: 'CIGAR', num: 1892 }
+    ]
+};
+
+const FILES = {
+    words: 'CRANE\nSLATE\n',
+    current: 'CIGAR\n',
+    prior: 'BLOKE\n',
+    safe: 'PIOUS\n',
+    meta: { wordle_date: '2026-08-24' },
+    schedule: null
+};
+
+test('scheduleGate: picks the visitor\'s own date and everything before it', () => {
+    const g = WL.scheduleGate(SCHEDULE, '2026-08-24');
+    assert.equal(g.answer, 'CIGAR');
+    assert.equal(g.yesterday, 'BLOKE');
+    assert.equal(g.num, 1892);
+    assert.deepEqual(g.past, ['ABACK', 'BLOKE']);
+});
+
+test('scheduleGate: null without a usable schedule, no answer past its end', () => {
+    assert.equal(WL.scheduleGate(null, '2026-08-24'), null);
+    assert.equal(WL.scheduleGate({ days: [] }, '2026-08-24'), null);
+    const g = WL.scheduleGate(SCHEDULE, '2026-08-30');
+    assert.equal(g.answer, null);
+    assert.deepEqual(g.past, ['ABACK', 'BLOKE', 'CIGAR']);
+});
+
+test('resolveGate: schedule path', () => {
+    const r = WL.resolveGate(Object.assign({}, FILES, { schedule: SCHEDULE }), '2026-08-24');
+    assert.equal(r.source, 'schedule');
+    assert.equal(r.answer, 'CIGAR');
+    assert.equal(r.yesterday, 'BLOKE');
+    assert.equal(r.num, 1892);
+    assert.deepEqual(r.played, ['ABACK', 'BLOKE', 'CRANE', 'PIOUS', 'SLATE']);
+    assert.equal(r.playedBefore, false);
+    assert.deepEqual(r.recent, [
+        { word: 'ABACK', date: '2026-08-22' },
+        { word: 'BLOKE', date: '2026-08-23' }
+    ]);
+});
+
+test('resolveGate: schedule that doesn\'t reach today leaves the answer unknown', () => {
+    const r = WL.resolveGate(Object.assign({}, FILES, { schedule: SCHEDULE }), '2026-08-30');
+    assert.equal(r.answer, null);
+    assert.equal(r.playedBefore, null);
+    assert.ok(r.played.includes('CIGAR'));
+});
+
+test('resolveGate: meta fallback on or after wordle_date shows the new puzzle', () => {
+    const r = WL.resolveGate(FILES, '2026-08-24');
+    assert.equal(r.source, 'meta');
+    assert.equal(r.answer, 'CIGAR');
+    assert.equal(r.yesterday, 'BLOKE');
+    assert.equal(r.num, 1892);
+    assert.deepEqual(r.played, ['BLOKE', 'CRANE', 'PIOUS', 'SLATE']);
+    assert.deepEqual(r.recent, [{ word: 'BLOKE', date: '2026-08-23' }]);
+    assert.equal(r.playedBefore, false);
+});
+
+test('resolveGate: meta fallback before wordle_date stays on yesterday\'s puzzle', () => {
+    const r = WL.resolveGate(FILES, '2026-08-23');
+    assert.equal(r.answer, 'BLOKE');
+    assert.equal(r.yesterday, 'PIOUS');
+    assert.equal(r.num, 1891);
+    // the visitor is still playing BLOKE, so it must not be listed
+    assert.ok(!r.played.includes('BLOKE'));
+    assert.ok(!r.played.includes('CIGAR'));
+    assert.equal(r.playedBefore, false);
+    assert.deepEqual(r.recent, []);
+});
+
+test('resolveGate: the safe word is always listed, whichever side of the gate', () => {
+    for (const today of ['2026-08-22', '2026-08-23', '2026-08-24']) {
+        assert.ok(WL.resolveGate(FILES, today).played.includes('PIOUS'), today);
+    }
+    const r = WL.resolveGate(Object.assign({}, FILES, { words: 'PIOUS\nSLATE\n', current: 'PIOUS\n' }), '2026-08-24');
+    assert.equal(r.playedBefore, true);
+    assert.deepEqual(r.played, ['BLOKE', 'PIOUS', 'SLATE']);
+});
+
+/* ── answers.txt ── */
+
+test('parseAnswers: plain lines, a/b mid-day changes and @ repeats', () => {
+    const { entries, bad } = WL.parseAnswers([
+        '# comment',
+        '',
+        'CIGAR 0 06/19/21',
+        'REBUT 1a 06/20/21',
+        'SISSY 1b 06/20/21@',
+        '  HUMPH 2 06/21/21  '
+    ]);
+    assert.deepEqual(bad, []);
+    assert.deepEqual(entries, [
+        { line: 3, word: 'CIGAR', num: 0, suffix: '', date: '2021-06-19', repeat: false },
+        { line: 4, word: 'REBUT', num: 1, suffix: 'a', date: '2021-06-20', repeat: false },
+        { line: 5, word: 'SISSY', num: 1, suffix: 'b', date: '2021-06-20', repeat: true },
+        { line: 6, word: 'HUMPH', num: 2, suffix: '', date: '2021-06-21', repeat: false }
+    ]);
+});
+
+test('parseAnswers: reports lines that don\'t parse, with their line numbers', () => {
+    const { entries, bad } = WL.parseAnswers([
+        'CIGAR 0 06/19/21',
+        'cigar 0 06/19/21',
+        'REBUT 1c 06/20/21',
+        'SISSY 2 6/21/21',
+        'HUMPH 3 06/22/21 @'
+    ]);
+    assert.equal(entries.length, 1);
+    assert.deepEqual(bad.map(b => b.line), [2, 3, 4, 5]);
+    assert.equal(bad[0].text, 'cigar 0 06/19/21');
+});
+
+/* ── board constraints ── */
+
+const row = (word, st) => ({ letters: word.split('').map(c => (c === '.' ? '' : c)), st: st.split('').map(Number) });
+
+test('constraints/matches: a complete row is an exact feedback match', () => {
+    const cons = WL.constraints([row('CRANE', '00102')]);
+    assert.equal(cons.hasInput, true);
+    assert.deepEqual(cons.complete, [{ word: 'CRANE', pat: code('00102') }]);
+    assert.ok(WL.matches('ABIDE', cons));
+    assert.ok(!WL.matches('AGREE', cons));    // R would be yellow
+    assert.ok(WL.matches('ALIKE', cons));
+    assert.ok(!WL.matches('CRANE', cons));
+});
+
+test('constraints/matches: a partial row uses only its explicit colors', () => {
+    const green = WL.constraints([row('S....', '20000')]);
+    assert.ok(WL.matches('SLATE', green));
+    assert.ok(!WL.matches('TASTE', green));
+
+    const yellow = WL.constraints([row('.L...', '01000')]);
+    assert.ok(WL.matches('HELLO', yellow));
+    assert.ok(!WL.matches('PLANT', yellow));   // L is not in the 2nd spot
+    assert.ok(!WL.matches('CRANE', yellow));   // no L at all
+
+    // a letter just typed is gray by default and means nothing yet
+    const typed = WL.constraints([row('X....', '00000')]);
+    assert.equal(typed.hasInput, false);
+    assert.ok(WL.matches('XYLEM', typed) && WL.matches('CRANE', typed));
+});
+
+test('constraints/matches: every row must hold', () => {
+    const cons = WL.constraints([row('CRANE', '00102'), row('ABIDE', '22222')]);
+    assert.ok(WL.matches('ABIDE', cons));
+    assert.ok(!WL.matches('ASIDE', cons));
+});
+
+/* ── hard mode ── */
+
+test('hardViolation: greens stay put, revealed letters are reused', () => {
+    const rules = WL.hardRules([{ word: 'CRANE', st: [0, 0, 1, 0, 2] }]);
+    assert.deepEqual(rules.pinned, ['', '', '', '', 'E']);
+    assert.deepEqual(rules.need, { A: 1, E: 1 });
+    assert.equal(WL.hardViolation('ABIDE', rules), null);
+    assert.equal(WL.hardViolation('STALE', rules), null);
+    assert.equal(WL.hardViolation('ADIEU', rules), '5th letter must be E');
+    assert.equal(WL.hardViolation('BOOZE', rules), 'Guess must contain A');
+});
+
+test('hardViolation: as many copies as one row revealed', () => {
+    const rules = WL.hardRules([{ word: 'EERIE', st: [1, 0, 2, 0, 2] }]);
+    assert.deepEqual(rules.need, { E: 2, R: 1 });
+    assert.equal(WL.hardViolation('THREE', rules), null);
+    assert.equal(WL.hardViolation('BARGE', rules), 'Guess must contain 2× E');
+    assert.equal(WL.hardViolation('THEME', rules), '3rd letter must be R');
+});
+
+test('hardViolation: nothing revealed, anything goes', () => {
+    assert.equal(WL.hardViolation('FUZZY', WL.hardRules([])), null);
+    assert.equal(WL.hardViolation('FUZZY', WL.hardRules([{ word: 'CRANE', st: [0, 0, 0, 0, 0] }])), null);
+});
+
+/* ── homepage search ── */
+
+const PLAYS = {
+    CIGAR: [{ num: 0, date: '2021-06-19' }],
+    REBUT: [{ num: 1, date: '2021-06-20' }],
+    HUMPH: [{ num: 1200, date: '2024-10-01' }]
+};
+const plays = w => PLAYS[w] || [];
+const hits = (q, words) => {
+    const p = WL.parseQuery(q, plays);
+    return (words || Object.keys(PLAYS)).filter(w => p.test(w));
+};
+
+test('parseQuery: letters, patterns and letter counts', () => {
+    const words = ['CRANE', 'CRONE', 'CRANK', 'SLATE', 'GEESE'];
+    assert.deepEqual(hits('RAN', words), ['CRANE', 'CRANK']);
+    assert.deepEqual(hits('CR?NE', words), ['CRANE', 'CRONE']);
+    assert.deepEqual(hits('CR_N.', words), ['CRANE', 'CRONE', 'CRANK']);
+    assert.deepEqual(hits('S*', words), ['SLATE']);
+    assert.deepEqual(hits('+EE', words), ['GEESE']);
+    assert.deepEqual(hits('-KO', words), ['CRANE', 'SLATE', 'GEESE']);
+    assert.deepEqual(hits('CR* +N -K', words), ['CRANE', 'CRONE']);
+    assert.equal(WL.parseQuery('CR?NE', plays).needsDates, false);
+});
+
+test('parseQuery: puzzle number ranges', () => {
+    assert.deepEqual(hits('#1'), ['REBUT']);
+    assert.deepEqual(hits('#1-1200'), ['REBUT', 'HUMPH']);
+    assert.deepEqual(hits('#1200-'), ['HUMPH']);
+    assert.deepEqual(hits('#-1'), ['CIGAR', 'REBUT']);
+    assert.equal(WL.parseQuery('#1-1200', plays).needsDates, true);
+});
+
+test('parseQuery: dates widen to their year or month', () => {
+    assert.deepEqual(hits('2021'), ['CIGAR', 'REBUT']);
+    assert.deepEqual(hits('2024-10'), ['HUMPH']);
+    assert.deepEqual(hits('2021-06-20'), ['REBUT']);
+    assert.deepEqual(hits('2021-06-20..2024'), ['REBUT', 'HUMPH']);
+    assert.deepEqual(hits('..2021-06-19'), ['CIGAR']);
+    assert.deepEqual(hits('2022..'), ['HUMPH']);
+    assert.deepEqual(hits('2021 H*'), []);
+    assert.equal(WL.parseQuery('2021', plays).needsDates, true);
+});
+
+test('parseQuery: a bad term matches nothing, a half-typed one is ignored', () => {
+    const p = WL.parseQuery('C@T', plays);
+    assert.equal(p.bad, 'C@T');
+    assert.deepEqual(hits('C@T'), []);
+    assert.equal(WL.parseQuery('# CIG', plays).bad, null);
+    assert.deepEqual(hits('# CIG'), ['CIGAR']);
+});
+
+/* ── best next guess ── */
+
+test('scoreGuesses: fewer words expected left ranks first', () => {
+    const answers = ['CRANE', 'CRATE', 'GRATE'];
+    const scored = WL.scoreGuesses(['FUZZY', 'CRATE'], answers, 3, 5);
+    assert.deepEqual(scored.map(s => s.word), ['CRATE', 'FUZZY']);
+    // CRATE splits all three apart; FUZZY leaves them in one group
+    assert.equal(scored[0].left, 1);
+    assert.equal(scored[0].score, 1 - 3 / 9);
+    assert.equal(scored[1].left, 3);
+    assert.equal(scored[1].score, 0);
+});
+
+test('scoreGuesses: count caps the list, total scales a sample back up', () => {
+    const answers = ['CRANE', 'CRATE', 'GRATE'];
+    assert.equal(WL.scoreGuesses(['FUZZY', 'CRATE'], answers, 3, 1).length, 1);
+    const scaled = WL.scoreGuesses(['CRATE'], answers, 30, 1);
+    assert.equal(scaled[0].left, 10);
+});
+
+test('scoreGuesses: ties keep the order the guesses came in', () => {
+    const scored = WL.scoreGuesses(['FUZZY', 'JAZZY'], ['CRANE', 'SLATE'], 2, 2);
+    assert.deepEqual(scored.map(s => s.word), ['FUZZY', 'JAZZY']);
+});
@@ -0,0 +1,50 @@
+/*
+ * test/wordlelist.test.js
+ * -----------------------
+ * The wordlelist command-line tool, run as a user would, against the
+ * repo's own data files.
+ *
+ *   node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'wordlelist.js');
+
+/* { status, stdout } of `node wordlelist.js ...args` */
+function wordlelist(...args) {
+    const r = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf-8', timeout: 60000 });
+    return { status: r.status, stdout: r.stdout };
+}
+
+test('played: every day a word was the answer', () => {
+    const r = wordlelist('played', 'cigar');
+    assert.equal(r.status, 0);
+    assert.match(r.stdout, /^CIGAR — played twice:$/m);
+    assert.match(r.stdout, /^ {2}#0 +Sat, Jun 19, 2021$/m);
+});
+
+test('played: the b word of a mid-day change counts as played', () => {
+    const r = wordlelist('played', 'GECKO');
+    assert.match(r.stdout, /^GECKO — played once:\n {2}#325 +Tue, May 10, 2022 {2}\(changed mid-day\)$/m);
+});
+
+test('played: a word only ever replaced mid-day was never the answer', () => {
+    const r = wordlelist('played', 'AGORA');
+    assert.equal(r.status, 0);
+    assert.equal(r.stdout.trim(), 'AGORA — never the answer: replaced mid-day on Tue, Feb 15, 2022 (#241).');
+    assert.doesNotMatch(r.stdout, /played 0 times/);
+});
+
+test('played: never an answer, and whether it is a valid guess', () => {
+    let r = wordlelist('played', 'QXZVJ');
+    assert.equal(r.status, 1);
+    assert.match(r.stdout, /QXZVJ has never been a Wordle answer — and it isn't a valid guess either\./);
+    r = wordlelist('played', 'CIGAR', 'ABC');
+    assert.equal(r.status, 0);
+    assert.match(r.stdout, /^ABC: not a five-letter word$/m);
+});
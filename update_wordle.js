@@ -6,11 +6,22 @@
  *
  * What it does each run:
  *   1. git pull
- *   2. Add safe.txt word → words.txt  (if exists; it's 2 days old, safe for all TZs)
- *   3. Rotate: prior.txt  →  safe.txt
- *   4. Rotate: current.txt  →  prior.txt
- *   5. Fetch new answer from NYT API  →  current.txt
- *   6. Write meta.json with wordle_date  (= today's date in UTC+14)
+ *   2. Prefetch every date the NYT API will serve  →  schedule.json
+ *   3. For every puzzle day since the last run's wordle_date, in order:
+ *        Add safe.txt word → words.txt  (if exists; it's 2 days old, safe for all TZs)
+ *        Rotate: prior.txt  →  safe.txt
+ *        Rotate: current.txt  →  prior.txt
+ *        That day's answer (schedule, else NYT API)  →  current.txt
+ *   4. Append every day missing from answers.txt through the safe word
+ *      (a/b pair for a mid-day answer change, @ on repeat answers)
+ *      and rebuild played-dates.json, the opener ranking (openers.json →
+ *      solver starters, best-starting-words tables), the stats page and
+ *      the per-word / per-month archive pages (word/, archive/) and the
+ *      JSON / CSV / Atom answer feeds (api/v1/)
+ *   5. Write meta.json with wordle_date  (= today's date in UTC+14) and draw
+ *      that day's social card (og/YYYY-MM-DD.png, linked from the homepage
+ *      and hint page)
+ *   6. Integrity check (validate_data.js) — abort before committing on failure
  *   7. git commit + push
  *
  * Timing note:
@@ -20,77 +31,116 @@
  * Word source:
  *   https://www.nytimes.com/svc/wordle/v2/{YYYY-MM-DD}.json
  *   Returns: { solution, print_date, days_since_launch, id, editor }
- *   No auth required.  Future dates return tomorrow's word, so we only
- *   ever request the date we need (wordle_date = UTC+14 today).
+ *   No auth required.  How far ahead it serves is set by NYT and changes
+ *   over time; a date past the horizon comes back clamped to an earlier
+ *   print_date, so every response is checked against the date we asked for.
  *
  * If the fetch fails for any reason, everything EXCEPT current.txt is
  * still pushed — the site keeps working with the previous word.
+ *
+ * Usage:
+ *   node update_wordle.js                      # production run
+ *   node update_wordle.js --recheck            # later in the day: catch a mid-day answer change
+ *   node update_wordle.js --dry-run            # run in a temp copy, print the diff
+ *   node update_wordle.js --dry-run --date=2026-08-24 --keep
+ *     --date=YYYY-MM-DD  pretend that is today's wordle_date (UTC+14 frame)
+ *     --keep             leave the dry-run copy on disk for inspection
+ *     --notify           send the run summary anyway (normally just printed)
+ *
+ * Pair --dry-run with WORDLELIST_API_BASE pointing at wordle_api_standin.js
+ * to exercise the whole pipeline without touching nytimes.com or GitHub.
  */
 
 'use strict';
 
 const { execSync } = require('child_process');
 const fs = require('fs');
+const http = require('http');
 const https = require('https');
+const os = require('os');
+const path = require('path');
+const { parseAnswers, shiftDate } = require('./word_logic.js');
+
+/* ── config ──
+ *  Everything environment-specific can be overridden from the environment:
+ *    WORDLELIST_REPO_DIR    working copy the job updates
+ *    WORDLELIST_API_BASE    answer source serving /svc/wordle/v2/{date}.json
+ *    WORDLELIST_GIT_REMOTE  remote to clone / pull / push
+ *    WORDLELIST_REPO_SLUG   GitHub repo whose Pages build is polled
+ *  Run summaries go to whichever backends notify.js finds configured
+ *  (DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL, NOTIFY_WEBHOOK_URL, NOTIFY_EMAIL_TO).
+ */
+let REPO_DIR = process.env.WORDLELIST_REPO_DIR || '/home/eithan/wordlelist';
+const REPO_SLUG = process.env.WORDLELIST_REPO_SLUG || 'eithan/wordlelist';
+const API_BASE = (process.env.WORDLELIST_API_BASE || 'https://www.nytimes.com').replace(/\/+$/, '');
+const GIT_REMOTE = process.env.WORDLELIST_GIT_REMOTE || 'git@github.com:eithan/wordlelist.git';
+
+const ARGS = process.argv.slice(2);
+const DRY_RUN = ARGS.includes('--dry-run');
+const KEEP_DRY_RUN_COPY = ARGS.includes('--keep');
+const RECHECK = ARGS.includes('--recheck');
+const NOTIFY_DRY_RUN = ARGS.includes('--notify');
+const DATE_OVERRIDE = (ARGS.find(a => a.startsWith('--date=')) || '').slice('--date='.length) || null;
+
+/* ── helpers ──
+ *  Every ⚠️ / ❌ line logged is also kept for the run summary: ⚠️ for
+ *  something that degraded the run, ❌ for something that broke it. */
+const RUN = { warnings: [], errors: [], facts: [] };
 
-/* ── config ── */
-const REPO_DIR = '/home/eithan/wordlelist';
-const REPO_SLUG = 'eithan/wordlelist';
-
-/* ── helpers ── */
 function log(msg) {
     // stdout only — the cron line redirects it to the log file (>> … 2>&1).
     // Running standalone, output just goes to the terminal.
     console.log(`[${new Date().toISOString()}] ${msg}`);
+    const first = msg.split('\n')[0];
+    if (first.startsWith('⚠️')) RUN.warnings.push(first.replace(/^⚠️\s*/, ''));
+    else if (first.startsWith('❌')) RUN.errors.push(first.replace(/^❌\s*/, ''));
 }
 
+/* name: value line for the run summary */
+function fact(name, value) { RUN.facts.push({ name, value }); }
+
 function run(cmd) {
     return execSync(cmd, { cwd: REPO_DIR, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
 }
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-/* ── deploy notification ──
+/* ── run summary ──
+ *  One message per run through notify.js, escalated by the worst line
+ *  logged. Best-effort like the rest of the notification path: a failed
+ *  backend is logged, never thrown. A dry run only prints the summary,
+ *  unless --notify asks for it to be sent too. Never names a live answer.
+ */
+async function sendSummary(title, { url } = {}) {
+    const { send, levelOf, toText } = require('./notify.js');
+    const summary = {
+        source: 'wordlelist-updater',
+        title: `${DRY_RUN ? '[dry run] ' : ''}${title}`,
+        level: levelOf(RUN),
+        facts: RUN.facts.slice(),
+        warnings: RUN.warnings.slice(),
+        errors: RUN.errors.slice(),
+        url
+    };
+    if (DRY_RUN && !NOTIFY_DRY_RUN) {
+        log(`Run summary (not sent — dry run):\n${toText(summary)}`);
+        return;
+    }
+    const results = await send(summary);
+    if (!results.length) log('No notifier configured — run summary not sent');
+    results.forEach(r => {
+        if (r.sent) log(`Run summary sent to ${r.name}`);
+        else if (r.error) log(`⚠️  ${r.name} notify failed: ${r.error}`);
+    });
+}
+
+/* ── deploy poll ──
  *  GitHub's push webhook already posts commits to Discord, but Discord's
  *  /github compat endpoint silently drops deployment_status / page_build
  *  events — so the deploy result never shows up there. After pushing we poll
  *  the Pages build to a terminal state (matched to the commit we just pushed)
- *  and post a native Discord message ourselves.
- *
- *  Everything here is best-effort: any failure is logged and swallowed so a
- *  hiccup in notification never blocks or fails the daily update.
+ *  and put the outcome in the run summary ourselves.
  */
-function notifyDiscord(payload) {
-    let url = process.env.DISCORD_WEBHOOK_URL;
-    if (!url) { log('⚠️  DISCORD_WEBHOOK_URL not set — skipping deploy notify'); return Promise.resolve(); }
-    url = url.replace(/\/github\/?$/, '');   // native Discord endpoint, not the GH-compat one
-
-    return new Promise((resolve) => {
-        try {
-            const u = new URL(url);
-            const body = JSON.stringify(payload);
-            const req = https.request({
-                hostname: u.hostname,
-                path: u.pathname + u.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(body),
-                    // Discord's edge (Cloudflare) can 403 a request with no User-Agent.
-                    'User-Agent': 'wordlelist-deploy-bot/1.0 (+https://wordlelist.com)'
-                }
-            }, (res) => {
-                if (res.statusCode >= 300) log(`⚠️  Discord notify HTTP ${res.statusCode}`);
-                res.resume();
-                res.on('end', resolve);
-            });
-            req.on('error', (e) => { log(`⚠️  Discord notify failed: ${e.message}`); resolve(); });
-            req.write(body);
-            req.end();
-        } catch (e) { log(`⚠️  Discord notify error: ${e.message}`); resolve(); }
-    });
-}
-
 /* Poll the Pages build until it reaches a terminal state for the pushed commit.
  * Returns the build object, or {status:'timeout'|'unknown'} if it can't resolve. */
 async function waitForPagesDeploy(sha, { timeoutMs = 180000, intervalMs = 10000 } = {}) {
@@ -113,15 +163,32 @@ async function waitForPagesDeploy(sha, { timeoutMs = 180000, intervalMs = 10000
 /* ── git ── */
 function gitSetup() {
     if (!fs.existsSync(REPO_DIR)) {
-        execSync(`git clone git@github.com:eithan/wordlelist.git ${REPO_DIR}`, { encoding: 'utf-8' });
+        execSync(`git clone ${GIT_REMOTE} ${REPO_DIR}`, { encoding: 'utf-8' });
     } else {
         run('git pull --rebase origin main');
     }
-    run('git remote set-url origin git@github.com:eithan/wordlelist.git');
+    run(`git remote set-url origin ${GIT_REMOTE}`);
     run('git config user.email "jarvis@openclaw.ai"');
     run('git config user.name  "Jarvis"');
 }
 
+/* ── dry run ──
+ *  Copy the working tree to a temp dir and point REPO_DIR at it, so the run
+ *  below touches nothing real. A copy that isn't a git repo gets a throwaway
+ *  baseline commit, so the diff still has something to compare against.
+ */
+function dryRunSetup() {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wordlelist-dry-'));
+    fs.cpSync(REPO_DIR, tmp, { recursive: true });
+    REPO_DIR = tmp;
+    if (!fs.existsSync(path.join(tmp, '.git'))) {
+        run('git init -q');
+        run('git add -A');
+        run('git -c user.email=dry-run@localhost -c user.name=dry-run commit -q -m baseline');
+    }
+    log(`Dry run in ${tmp} — no pull, commit, push or notify`);
+}
+
 /* ── words.txt ── */
 function addWordToList(word) {
     const p = `${REPO_DIR}/words.txt`;
@@ -135,82 +202,152 @@ function addWordToList(word) {
 }
 
 /* ── answer history (drives the played-date tooltip) ──
- *  Record the word rotating into safe.txt this run at the top of answers.txt
- *  (the file is ordered newest-first), then rebuild played-dates.json. The
- *  puzzle number and date come from the current newest entry (max number + 1,
- *  its date + 1 day), so the history advances one entry per run in lockstep
- *  with the rotation — no network call, and it stays exactly one day behind the
- *  live puzzle, so today's answer never reaches the public JSON.
+ *  Record a now-safe answer at the top of answers.txt (the file is ordered
+ *  newest-first). The caller passes the date the word was played; the puzzle
+ *  number continues from the current newest entry (max number + 1). Only the
+ *  day right after the newest entry is accepted, so the history can't skip a
+ *  day, and a date already on file is a no-op — re-running a catch-up never
+ *  duplicates a line. Callers only ever pass dates at least two days old, so
+ *  today's answer never reaches the public JSON.
+ *
+ *  played-dates.json is rebuilt separately (rebuildPlayedDates) so a catch-up
+ *  appending several days regenerates it once.
  */
-function appendHistory(word) {
+function newestHistoryEntry() {
+    const histPath = `${REPO_DIR}/answers.txt`;
+    if (!fs.existsSync(histPath)) return null;
+    const lines = fs.readFileSync(histPath, 'utf-8').split('\n');
+
+    // The newest entry is the highest puzzle number, independent of file
+    // ordering; new lines go in above the first data line.
+    const { entries } = parseAnswers(lines);
+    const newest = entries.reduce((best, e) => (!best || e.num > best.num ? e : best), null);
+    const firstDataIdx = lines.findIndex(l => l.trim() && !l.trim().startsWith('#'));
+    return newest && { ...newest, lines, firstDataIdx };
+}
+
+function appendHistory({ word, date, changed_from: replaced }) {
     const histPath = `${REPO_DIR}/answers.txt`;
-    if (!fs.existsSync(histPath)) { log('⚠️  answers.txt missing — skipping history append'); return; }
+    if (!fs.existsSync(histPath)) { log('❌ answers.txt missing — skipping history append'); return false; }
 
     word = word.trim().toUpperCase();
-    const raw = fs.readFileSync(histPath, 'utf-8');
-    const lines = raw.split('\n');
-
-    // Locate the newest entry (highest puzzle number) and the first data-line
-    // index, independent of file ordering.
-    let maxNum = -1, maxDate = null, maxWord = null, firstDataIdx = -1;
-    for (let i = 0; i < lines.length; i++) {
-        const t = lines[i].trim();
-        if (!t || t.startsWith('#')) continue;
-        if (firstDataIdx === -1) firstDataIdx = i;
-        const p = t.split(/\s+/);
-        const n = parseInt((p[1] || '').replace(/[^\d]/g, ''), 10);
-        const m = (p[2] || '').replace(/[^\d/]/g, '').match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
-        if (isNaN(n) || !m) continue;
-        if (n > maxNum) { maxNum = n; maxDate = m; maxWord = p[0].toUpperCase(); }
-    }
-    if (maxNum === -1) { log('⚠️  answers.txt has no parseable data lines — skipping history append'); return; }
-
-    if (maxWord === word) { log(`History already at "${word}" (#${maxNum}) — skipping append`); return; }
-
-    // next date = newest date + 1 day (UTC arithmetic avoids DST edge cases)
-    const d = new Date(Date.UTC(2000 + parseInt(maxDate[3], 10), parseInt(maxDate[1], 10) - 1, parseInt(maxDate[2], 10)));
-    d.setUTCDate(d.getUTCDate() + 1);
-    const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
-    const dd = String(d.getUTCDate()).padStart(2, '0');
-    const yy = String(d.getUTCFullYear() % 100).padStart(2, '0');
-
-    const newLine = `${word} ${maxNum + 1} ${mm}/${dd}/${yy}`;
-    lines.splice(firstDataIdx, 0, newLine);   // insert at top of data (newest-first)
+    const newest = newestHistoryEntry();
+    if (!newest) { log('⚠️  answers.txt has no parseable data lines — skipping history append'); return false; }
+
+    if (date <= newest.date) { log(`History already covers ${date} (#${newest.num} ${newest.date}) — skipping append`); return false; }
+    if (date !== shiftDate(newest.date, 1)) {
+        log(`⚠️  History ends ${newest.date} — refusing to append ${date} out of order`);
+        return false;
+    }
+
+    const [yyyy, mm, dd] = date.split('-');
+    const stamp = `${mm}/${dd}/${yyyy.slice(2)}`;
+    const num = newest.num + 1;
+    const lines = newest.lines;
+
+    // A word already on file is a repeat: @ goes on the new line and on every
+    // earlier occurrence that lacks it, so each one reads as a repeat.
+    const markRepeat = (w) => {
+        let seen = false;
+        lines.forEach((l, i) => {
+            const t = l.trim();
+            if (!t || t.startsWith('#') || t.split(/\s+/)[0].toUpperCase() !== w) return;
+            seen = true;
+            if (!t.endsWith('@')) { lines[i] = l.trimEnd() + '@'; log(`Marked repeat in answers.txt: ${lines[i]}`); }
+        });
+        return seen;
+    };
+
+    // A mid-day change is recorded as an a/b pair: a = the word NYT swapped out.
+    const pair = replaced ? [[replaced.toUpperCase(), 'a'], [word, 'b']] : [[word, '']];
+    const newLines = pair.map(([w, suffix]) => `${w} ${num}${suffix} ${stamp}${markRepeat(w) ? '@' : ''}`);
+    lines.splice(newest.firstDataIdx, 0, ...newLines);   // insert at top of data (newest-first)
     fs.writeFileSync(histPath, lines.join('\n'));
-    log(`Recorded in answers.txt: ${newLine}`);
+    newLines.forEach(l => log(`Recorded in answers.txt: ${l}`));
+    return true;
+}
 
+function rebuildPlayedDates() {
     try {
         // required lazily so a missing build script degrades to a logged
         // warning instead of killing the whole daily update at load time
         const { build: buildPlayedDates } = require('./build_played_dates.js');
-        const r = buildPlayedDates();
+        const r = buildPlayedDates(REPO_DIR);
+        r.skipped.forEach(x => log(`⚠️  answers.txt:${x.line}: skipped unparseable line "${x.text}"`));
         log(`Rebuilt played-dates.json: ${r.words} words, ${r.bytes} bytes`);
     } catch (e) {
-        log(`⚠️  played-dates.json rebuild failed: ${e.message}`);
+        log(`❌ played-dates.json rebuild failed: ${e.message}`);
+    }
+}
+
+function rebuildStats() {
+    try {
+        const { build: buildStats } = require('./build_stats.js');
+        const r = buildStats(REPO_DIR);
+        r.missing.forEach(m => log(`⚠️  stats/index.html: markers for ${m} not found — section left as is`));
+        log(`Rebuilt stats/index.html from ${r.words} answers`);
+    } catch (e) {
+        log(`⚠️  stats page rebuild failed: ${e.message}`);
+    }
+}
+
+function rebuildArchive() {
+    try {
+        const { build: buildArchive } = require('./build_archive.js');
+        const r = buildArchive(REPO_DIR);
+        r.removed.forEach(name => log(`Removed archive page ${name}/ — no longer in answers.txt`));
+        log(`Rebuilt archive pages: ${r.words} words, ${r.months} months (${r.written} changed)`);
+    } catch (e) {
+        log(`⚠️  archive pages rebuild failed: ${e.message}`);
+    }
+}
+
+function rebuildFeeds() {
+    try {
+        const { build: buildFeeds } = require('./build_feeds.js');
+        const r = buildFeeds(REPO_DIR);
+        log(`Rebuilt answer feeds: ${r.count} answers through ${r.safeThrough}${r.written.length ? ` (wrote ${r.written.map(f => path.basename(f)).join(', ')})` : ' (unchanged)'}`);
+    } catch (e) {
+        log(`⚠️  answer feeds rebuild failed: ${e.message}`);
+    }
+}
+
+function rebuildOgCard() {
+    try {
+        const { build: buildOgCard } = require('./build_og_card.js');
+        const r = buildOgCard(REPO_DIR);
+        r.missing.forEach(m => log(`⚠️  ${m} markers not found — left as is`));
+        r.removed.forEach(f => log(`Removed old social card og/${f}`));
+        log(`Drew social card ${r.file}`);
+    } catch (e) {
+        log(`⚠️  social card failed: ${e.message}`);
+    }
+}
+
+function rebuildOpeners() {
+    try {
+        const { build: buildOpeners } = require('./build_openers.js');
+        const r = buildOpeners(REPO_DIR);
+        r.missing.forEach(m => log(`⚠️  ${m} markers not found — left as is`));
+        log(`Ranked openers against ${r.answers} answers: pick ${r.pick}, best pair ${r.pair.join(' → ')}`);
+    } catch (e) {
+        log(`⚠️  opener ranking failed: ${e.message}`);
     }
 }
 
 /* ── fresh (never-played) openers ──
  *  The best opening words that have never themselves been a Wordle answer, so
  *  they keep a shot at the one-guess win on a day whose answer has never been
- *  played. MASTER_OPENERS is ranked best-first by coverage against the real-
- *  answer archive (same basis as the /best-starting-words/ page); the live
- *  list is the top five not yet in words.txt. Several near the top are valid
- *  guesses that have never been answers (ROATE, ORATE, SOARE, TARES, SANER,
- *  NARES, SERAI) and so can never drop off — there are always at least five.
+ *  played. openers.json (build_openers.js) ranks every valid guess best-first
+ *  by coverage against the real-answer archive — the same ranking as the
+ *  /best-starting-words/ page; the live list is the top five not yet in
+ *  words.txt. Plenty near the top are valid guesses that have never been
+ *  answers (ROATE, ORATE, OATER, …), so there are always at least five.
  *
  *  Per the daily contract we recompute ONLY when a word on the current list
  *  has just become a past answer; otherwise the saved list carries forward
  *  untouched.
  */
-const MASTER_OPENERS = [
-    'ROATE', 'ORATE', 'SOARE', 'RAISE', 'ARISE', 'IRATE', 'AROSE', 'STARE',
-    'SNARE', 'TRACE', 'CRATE', 'SLATE', 'CRANE', 'STALE', 'TARES', 'RATES',
-    'TEARS', 'LATER', 'ALTER', 'ALERT', 'SANER', 'NARES', 'LEARN', 'LASER',
-    'REACT', 'CATER', 'ROAST', 'SAINT', 'STAIN', 'SLANT', 'LEAST', 'STEAL',
-    'PARSE', 'SPARE', 'SERAI'
-];
-
 function computeFreshOpeners(existing) {
     const played = new Set(
         fs.readFileSync(`${REPO_DIR}/words.txt`, 'utf-8').trim().split('\n')
@@ -222,7 +359,14 @@ function computeFreshOpeners(existing) {
         log(`Fresh openers unchanged: ${existing.join(', ')}`);
         return existing;
     }
-    const fresh = MASTER_OPENERS.filter(w => !played.has(w)).slice(0, 5);
+    let ranked = [];
+    try {
+        ranked = JSON.parse(fs.readFileSync(`${REPO_DIR}/openers.json`, 'utf-8')).ranked.map(r => r.word);
+    } catch (e) {
+        log(`⚠️  openers.json unreadable (${e.message}) — keeping the previous fresh openers`);
+        return existing;
+    }
+    const fresh = ranked.filter(w => !played.has(w)).slice(0, 5);
     log(`Fresh openers recomputed → ${fresh.join(', ')}`);
     return fresh;
 }
@@ -230,9 +374,10 @@ function computeFreshOpeners(existing) {
 /* ── NYT API fetch ── */
 function fetchWordleAPI(date) {
     // date = "YYYY-MM-DD"
-    const url = `https://www.nytimes.com/svc/wordle/v2/${date}.json`;
+    const url = `${API_BASE}/svc/wordle/v2/${date}.json`;
+    const client = url.startsWith('http:') ? http : https;   // http only for a local stand-in
     return new Promise((resolve, reject) => {
-        const req = https.get(url, {
+        const req = client.get(url, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             }
@@ -251,6 +396,138 @@ function fetchWordleAPI(date) {
     });
 }
 
+/* Fetch one date and confirm the API really served it. Past the horizon the
+ * endpoint clamps to an earlier day instead of failing, so a print_date that
+ * doesn't match the request is treated as "not available yet". */
+async function fetchPuzzle(date) {
+    const puzzle = await fetchWordleAPI(date);
+    if (!puzzle || puzzle.print_date !== date) {
+        throw new Error(`requested ${date}, got print_date ${puzzle && puzzle.print_date}`);
+    }
+    const word = String(puzzle.solution || '').trim().toUpperCase();
+    if (!/^[A-Z]{5}$/.test(word)) throw new Error(`bad solution for ${date}: "${puzzle.solution}"`);
+    return { date, word, num: puzzle.days_since_launch };
+}
+
+/* ── schedule.json (prefetched answers) ──
+ *  One date → answer map that lets each visitor's browser pick its puzzle from
+ *  its own local date, so every timezone rolls over at its own midnight and a
+ *  missed run costs nothing until the prefetched days run out.
+ *
+ *  Covers wordle_date − 2 (the oldest puzzle any timezone can still call
+ *  "yesterday", not yet folded into words.txt) through as far ahead as the
+ *  API serves, capped at MAX_PREFETCH_DAYS so the repo never becomes a long
+ *  spoiler archive. Every date is re-fetched each run — NYT has swapped
+ *  upcoming words before — and a previously verified entry is kept if its
+ *  re-fetch fails. Prefetching stops at the first future date the API won't
+ *  confirm.
+ *
+ *  A swap on a date that was already live somewhere (≤ liveThrough) is a
+ *  mid-day change: people played the old word, so the entry keeps it as
+ *  changed_from and appendHistory later records the a/b pair. A swap on a
+ *  date nobody has played yet is just logged.
+ */
+const MAX_PREFETCH_DAYS = 14;
+
+async function prefetchSchedule(wordleDate, { liveThrough = shiftDate(wordleDate, -1) } = {}) {
+    const schedPath = `${REPO_DIR}/schedule.json`;
+    const first = shiftDate(wordleDate, -2);
+
+    const previous = {};
+    try {
+        const prev = JSON.parse(fs.readFileSync(schedPath, 'utf-8'));
+        (prev.days || []).forEach(d => { if (d.date >= first) previous[d.date] = d; });
+    } catch (_) { }
+
+    const days = [];
+    let horizon = -1;
+    for (let offset = -2; offset <= MAX_PREFETCH_DAYS; offset++) {
+        const date = shiftDate(wordleDate, offset);
+        try {
+            const entry = await fetchPuzzle(date);
+            const had = previous[date];
+            if (had && had.word !== entry.word) {
+                log(`⚠️  schedule: ${date} changed ${had.word} → ${entry.word}${date <= liveThrough ? ' (mid-day change)' : ''}`);
+            }
+            // the word people first played that day, if NYT has since swapped it
+            const original = had ? (had.changed_from || had.word) : null;
+            if (original && original !== entry.word && (had.changed_from || date <= liveThrough)) {
+                entry.changed_from = original;
+            }
+            days.push(entry);
+            if (offset >= 0) horizon = offset;
+        } catch (e) {
+            if (offset < 0 && previous[date]) { days.push(previous[date]); continue; }
+            if (offset < 0) { log(`⚠️  schedule: ${date} unavailable (${e.message})`); continue; }
+            log(`Schedule horizon reached at ${date}: ${e.message}`);
+            break;
+        }
+    }
+    // a failed re-fetch of a date we already held must not shrink the runway
+    Object.keys(previous).sort().forEach(date => {
+        if (!days.some(d => d.date === date)) days.push(previous[date]);
+    });
+    days.sort((a, b) => (a.date < b.date ? -1 : 1));
+
+    if (!days.length) { log('⚠️  schedule: nothing fetched — schedule.json unchanged'); return null; }
+
+    const schedule = { version: 1, generated_at: new Date().toISOString(), days };
+    fs.writeFileSync(schedPath, JSON.stringify(schedule, null, 2) + '\n');
+    const last = days[days.length - 1].date;
+    log(`Wrote schedule.json: ${days.length} days through ${last}  (horizon +${horizon})`);
+    if (last < shiftDate(wordleDate, 2)) log(`⚠️  schedule runway ends ${last} — under 2 days left`);
+    return schedule;
+}
+
+/* ── catch-up ──
+ *  A dead cron leaves several puzzle days unprocessed. Every missed date is
+ *  replayed in order, each looked up in the schedule first (it may have been
+ *  prefetched while the cron was still alive) and then from the API.
+ */
+const MAX_CATCHUP_DAYS = 366;
+
+/* dates strictly after `from` up to and including `to`; just [to] when
+ * there's no starting point */
+function missedDates(from, to) {
+    if (!from) return [to];
+    const dates = [];
+    for (let d = shiftDate(from, 1); d <= to; d = shiftDate(d, 1)) dates.push(d);
+    if (dates.length > MAX_CATCHUP_DAYS) {
+        log(`⚠️  ${dates.length} days behind — replaying only the last ${MAX_CATCHUP_DAYS}`);
+        return dates.slice(-MAX_CATCHUP_DAYS);
+    }
+    return dates;
+}
+
+function readScheduleDays() {
+    const byDate = {};
+    try {
+        const sched = JSON.parse(fs.readFileSync(`${REPO_DIR}/schedule.json`, 'utf-8'));
+        (sched.days || []).forEach(d => { byDate[d.date] = d; });
+    } catch (_) { }
+    return byDate;
+}
+
+async function lookupPuzzle(date, known) {
+    if (known[date]) return known[date];
+    try {
+        known[date] = await fetchPuzzle(date);
+        return known[date];
+    } catch (e) {
+        log(`⚠️  NYT API failed for ${date}: ${e.message}`);
+        return null;
+    }
+}
+
+/* advance meta.wordle_date alone, leaving the rest for the final meta write */
+function saveCursor(date) {
+    const metaPath = `${REPO_DIR}/meta.json`;
+    let meta = {};
+    try { meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8')); } catch (_) { }
+    meta.wordle_date = date;
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2) + '\n');
+}
+
 /* ── inject static word list into index.html (for SEO) ── */
 function injectWordList() {
     const indexPath = `${REPO_DIR}/index.html`;
@@ -322,120 +599,228 @@ function injectWordList() {
     log(`Injected ${baseWords.length} words + last updated ${dateStr} into index.html`);
 }
 
-/* ── update sitemap.xml with today's lastmod ── */
+/* ── sitemap.xml + robots.txt from the pages on disk (build_sitemap.js) ── */
 function updateSitemap() {
-    const today = new Date().toISOString().split('T')[0];
-    const sitemap =
-        `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>https://wordlelist.com/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>daily</changefreq>
-    <priority>1.0</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/hint/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>daily</changefreq>
-    <priority>0.8</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/best-starting-words/</loc>
-    <lastmod>2026-07-06</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.7</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/stats/</loc>
-    <lastmod>2026-07-06</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.6</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/how-to-win/</loc>
-    <lastmod>2026-07-06</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.6</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/wordle-alternatives/</loc>
-    <lastmod>2026-07-06</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.5</priority>
-  </url>
-  <url>
-    <loc>https://wordlelist.com/solver/</loc>
-    <lastmod>2026-07-06</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.7</priority>
-  </url>
-</urlset>
-`;
-    fs.writeFileSync(`${REPO_DIR}/sitemap.xml`, sitemap);
-    log(`Updated sitemap.xml with lastmod ${today}`);
+    try {
+        const { build: buildSitemap } = require('./build_sitemap.js');
+        const r = buildSitemap(REPO_DIR);
+        log(`Rebuilt sitemap.xml: ${r.pages.length} pages${r.written.length ? '' : ' (unchanged)'}`);
+    } catch (e) {
+        log(`⚠️  sitemap rebuild failed: ${e.message}`);
+    }
+}
+
+/* ── legacy state files ──
+ *  current/prior/safe.txt hold the answers for wordle_date, −1 and −2. The
+ *  schedule is the verified source, so when it knows a date those files
+ *  disagree with (a mid-day change, or a day a failed fetch left stale), the
+ *  file follows the schedule.
+ */
+function syncLegacyFiles(wordleDate, known) {
+    [['current.txt', 0], ['prior.txt', -1], ['safe.txt', -2]].forEach(([file, offset]) => {
+        const entry = known[shiftDate(wordleDate, offset)];
+        const p = `${REPO_DIR}/${file}`;
+        const have = fs.existsSync(p) ? fs.readFileSync(p, 'utf-8').trim().toUpperCase() : '';
+        if (!entry || entry.word === have) return;
+        fs.writeFileSync(p, entry.word);
+        log(`Synced ${file} = ${entry.word}  (was ${have || '(none)'})`);
+    });
+}
+
+/* ── commit ──
+ *  Integrity check first (validate_data.js) — corrupted data is never pushed.
+ *  A real run that fails it puts the data files back as they were at HEAD:
+ *  left mutated, they'd break the next run's pull --rebase, and the advanced
+ *  meta.wordle_date would make it skip the day. A dry run prints the diff
+ *  instead and throws the copy away. Returns true once pushed.
+ */
+
+/* everything the run writes — what gets committed, or reset on failure */
+const DATA_FILES = ['words.txt', 'safe.txt', 'prior.txt', 'current.txt', 'meta.json', 'schedule.json',
+    'index.html', 'hint/index.html', 'og', 'stats/index.html', 'sitemap.xml', 'robots.txt', 'answers.txt', 'played-dates.json',
+    'openers.json', 'solver/index.html', 'best-starting-words/index.html', 'word', 'archive', 'api'];
+
+function resetDataFiles() {
+    const inHead = DATA_FILES.filter(f => run(`git ls-tree --name-only HEAD -- ${f}`));
+    if (inHead.length) run(`git checkout HEAD -- ${inHead.join(' ')}`);
+    run(`git clean -fdq -- ${DATA_FILES.join(' ')}`);
+}
+
+function commitAndPush(message) {
+    const { validate, format } = require('./validate_data.js');
+    const problems = validate(REPO_DIR);
+    problems.forEach(p => log(`⚠️  ${format(p)}`));
+    if (problems.length && !DRY_RUN) {
+        let reset = 'data files reset to HEAD';
+        try { resetDataFiles(); } catch (e) { reset = `resetting the data files failed (${e.message.split('\n')[0]}) — clean up by hand before the next run`; }
+        throw new Error(`integrity check found ${problems.length} problem(s) — not committing; ${reset}`);
+    }
+    if (problems.length) log(`Integrity check found ${problems.length} problem(s) — a real run would stop here`);
+
+    run(`git add ${DATA_FILES.filter(f => fs.existsSync(`${REPO_DIR}/${f}`)).join(' ')}`);
+
+    if (DRY_RUN) {
+        const diff = run('git diff --cached');
+        console.log(diff ? `\n${diff}\n` : '\n(no changes)\n');
+        if (KEEP_DRY_RUN_COPY) log(`Dry-run copy kept at ${REPO_DIR}`);
+        else fs.rmSync(REPO_DIR, { recursive: true, force: true });
+        return false;
+    }
+
+    try {
+        run(`git commit -m "${message}"`);
+    } catch (_) {
+        log('Nothing to commit');
+    }
+    run('git push origin main');
+    log('Pushed ✓');
+    return true;
+}
+
+/* ── mid-day recheck (--recheck) ──
+ *  Run from a second cron entry later in the day. NYT has swapped a live
+ *  puzzle's answer mid-day before; re-fetching the live dates records the
+ *  swap as changed_from in schedule.json, current/prior/safe.txt follow the
+ *  new word, and the a/b pair reaches answers.txt once the date is safe. No
+ *  rotation, history or meta change happens here.
+ */
+async function recheck() {
+    let live = null;
+    try { live = JSON.parse(fs.readFileSync(`${REPO_DIR}/meta.json`, 'utf-8')).wordle_date || null; } catch (_) { }
+    if (!live) { log('⚠️  no meta.json wordle_date — nothing to recheck'); return; }
+    log(`Rechecking live puzzles through ${live}`);
+
+    const schedule = await prefetchSchedule(live, { liveThrough: live });
+    if (!schedule) { await sendSummary(`Mid-day recheck ${live}`); return; }
+    const known = {};
+    schedule.days.forEach(d => { known[d.date] = d; });
+    syncLegacyFiles(live, known);
+
+    const changed = schedule.days.filter(d => d.changed_from && d.date <= live);
+    changed.forEach(d => log(`Mid-day change on record: ${d.date} ${d.changed_from} → ${d.word}`));
+    commitAndPush(`Mid-day recheck: ${live}${changed.length ? ' (answer changed)' : ''}`);
+
+    // a quiet recheck stays quiet; a change or a problem is worth a message
+    if (changed.length || RUN.warnings.length || RUN.errors.length) {
+        fact('Mid-day changes', changed.length ? changed.map(d => d.date).join(', ') : 'none');
+        await sendSummary(`Mid-day recheck ${live}`);
+    }
 }
 
 /* ── main ── */
 async function main() {
     log('=== Wordle updater START ===');
 
-    /* 1. pull */
-    log('git setup …');
-    gitSetup();
+    /* 1. pull (or, dry run: work on a throwaway copy) */
+    if (DRY_RUN) {
+        dryRunSetup();
+    } else {
+        log('git setup …');
+        gitSetup();
+    }
+
+    if (RECHECK) {
+        await recheck();
+        log('=== Wordle updater DONE (recheck) ===\n');
+        return;
+    }
+
+    /* 2. wordle_date = today in UTC+14 (the new puzzle's date) */
+    const utcPlus14 = new Date(Date.now() + 14 * 60 * 60 * 1000);
+    const wordleDate = DATE_OVERRIDE || utcPlus14.toISOString().split('T')[0];   // YYYY-MM-DD
+    log(`wordle_date = ${wordleDate}`);
 
     /* idempotency check — skip if already ran for today's UTC+14 date */
     const metaPath = `${REPO_DIR}/meta.json`;
     if (fs.existsSync(metaPath)) {
         const savedMeta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
-        const utcPlus14Now = new Date(Date.now() + 14 * 60 * 60 * 1000).toISOString().split('T')[0];
-        if (savedMeta.wordle_date === utcPlus14Now) {
-            log(`Already ran for ${utcPlus14Now} — skipping.`);
+        if (savedMeta.wordle_date === wordleDate) {
+            log(`Already ran for ${wordleDate} — skipping.`);   // no summary: nothing happened
             log('=== Wordle updater DONE (no-op) ===\n');
             return;
         }
     }
 
-    /* 2. read state */
-    const safePath = `${REPO_DIR}/safe.txt`;
-    const priorWord = fs.readFileSync(`${REPO_DIR}/prior.txt`, 'utf-8').trim().toUpperCase();
-    const currentWord = fs.readFileSync(`${REPO_DIR}/current.txt`, 'utf-8').trim().toUpperCase();
-    const safeWord = fs.existsSync(safePath) ? fs.readFileSync(safePath, 'utf-8').trim().toUpperCase() : null;
-    log(`State  →  safe: ${safeWord || '(none)'}  |  prior: ${priorWord}  |  current: ${currentWord}`);
-
-    /* 3. add safe word to words.txt (it's 2 days old, safe for all timezones) */
-    if (safeWord) {
-        addWordToList(safeWord);
+    /* 3. how far behind are we? One rotation per puzzle day since the last
+       run's wordle_date; history runs through wordle_date − 2 (the safe word). */
+    let lastDate = null;
+    try { lastDate = JSON.parse(fs.readFileSync(metaPath, 'utf-8')).wordle_date || null; } catch (_) { }
+    const missed = missedDates(lastDate, wordleDate);
+    const newest = newestHistoryEntry();
+    const historyDates = newest ? missedDates(newest.date, shiftDate(wordleDate, -2)) : [];
+    log(`Catch-up  →  ${missed.length} rotation(s) since ${lastDate || '(no meta)'}, ` +
+        `${historyDates.length} history day(s) since ${newest ? newest.date : '(no history)'}`);
+
+    /* 4. prefetch the schedule; the previous schedule is kept as a lookup too,
+       since it may still hold the days a dead cron missed */
+    const known = readScheduleDays();
+    let schedule = null;
+    try {
+        schedule = await prefetchSchedule(wordleDate);
+    } catch (e) {
+        log(`⚠️  schedule prefetch failed: ${e.message}`);
     }
+    if (schedule) schedule.days.forEach(d => { known[d.date] = d; });
 
-    /* 4. rotate prior → safe */
-    fs.writeFileSync(safePath, priorWord);
-    log(`Rotated safe.txt = ${priorWord}`);
-
-    /* 5. rotate current → prior */
-    fs.writeFileSync(`${REPO_DIR}/prior.txt`, currentWord);
-    log(`Rotated prior.txt = ${currentWord}`);
-
-    /* 5b. record the now-safe word in the answer history + rebuild tooltip data */
-    appendHistory(priorWord);
-
-    /* 6. wordle_date = today in UTC+14 (the new puzzle's date) */
-    const utcPlus14 = new Date(Date.now() + 14 * 60 * 60 * 1000);
-    const wordleDate = utcPlus14.toISOString().split('T')[0];   // YYYY-MM-DD
-    log(`wordle_date = ${wordleDate}`);
-
-    /* 7. fetch new word from NYT API */
+    /* 5. replay every missed day in order:
+          safe → words.txt, prior → safe, current → prior, that day's word → current.
+          Each step advances meta.wordle_date, so an interrupted catch-up
+          resumes where it stopped instead of rotating twice. */
     let newWord = null;
-    try {
-        const puzzle = await fetchWordleAPI(wordleDate);
-        newWord = puzzle.solution.toUpperCase();
-        log(`NYT API → solution: ${newWord}  (days_since_launch: ${puzzle.days_since_launch})`);
-        fs.writeFileSync(`${REPO_DIR}/current.txt`, newWord);
-    } catch (e) {
-        log(`⚠️  NYT API failed: ${e.message} — current.txt unchanged.`);
+    for (const date of missed) {
+        const safePath = `${REPO_DIR}/safe.txt`;
+        const priorWord = fs.readFileSync(`${REPO_DIR}/prior.txt`, 'utf-8').trim().toUpperCase();
+        const currentWord = fs.readFileSync(`${REPO_DIR}/current.txt`, 'utf-8').trim().toUpperCase();
+        const safeWord = fs.existsSync(safePath) ? fs.readFileSync(safePath, 'utf-8').trim().toUpperCase() : null;
+        log(`[${date}] State  →  safe: ${safeWord || '(none)'}  |  prior: ${priorWord}  |  current: ${currentWord}`);
+
+        /* add safe word to words.txt (it's 2 days old, safe for all timezones) */
+        if (safeWord) addWordToList(safeWord);
+
+        fs.writeFileSync(safePath, priorWord);
+        log(`Rotated safe.txt = ${priorWord}`);
+        fs.writeFileSync(`${REPO_DIR}/prior.txt`, currentWord);
+        log(`Rotated prior.txt = ${currentWord}`);
+
+        const puzzle = await lookupPuzzle(date, known);
+        if (puzzle) {
+            log(`NYT API → ${date}: ${puzzle.word}  (days_since_launch: ${puzzle.num})`);
+            fs.writeFileSync(`${REPO_DIR}/current.txt`, puzzle.word);
+            if (date === wordleDate) newWord = puzzle.word;
+        } else {
+            log(`❌ NYT API failed for ${date} — current.txt unchanged.`);
+        }
+        saveCursor(date);
+    }
+
+    /* 6. bring the state files in line with the schedule, then record every
+          now-safe day in the answer history, oldest first, and rebuild the
+          tooltip data once. Days older than the safe word belong in words.txt
+          too — a no-op when the rotations already put them there, a repair
+          when the history was further behind. A day NYT changed mid-day goes
+          in as an a/b pair, with the b word in words.txt. */
+    syncLegacyFiles(wordleDate, known);
+
+    let appended = 0;
+    const safeDate = shiftDate(wordleDate, -2);
+    for (const date of historyDates) {
+        let puzzle = await lookupPuzzle(date, known);
+        if (!puzzle && date === safeDate && fs.existsSync(`${REPO_DIR}/safe.txt`)) {
+            // API down: the word just rotated into safe.txt is this date's answer
+            puzzle = { date, word: fs.readFileSync(`${REPO_DIR}/safe.txt`, 'utf-8').trim().toUpperCase() };
+        }
+        if (!puzzle) { log(`⚠️  no answer for ${date} — history stops at the day before`); break; }
+        if (!appendHistory(puzzle)) break;
+        appended++;
+        if (date < safeDate) addWordToList(puzzle.word);
     }
+    fact('Rotations', `${missed.length} day(s) since ${lastDate || '(no meta)'}`);
+    fact('Today\'s word', newWord ? 'fetched' : 'not fetched');
+    fact('History', appended ? `+${appended} day(s) through ${historyDates[appended - 1]}` : 'unchanged');
+    if (appended) rebuildPlayedDates();
+    rebuildOpeners();
 
-    /* 8. meta.json — carry the fresh-openers list forward, recomputing it only
+    /* 7. meta.json — carry the fresh-openers list forward, recomputing it only
        when a word on it has just become a past answer (computeFreshOpeners). */
     let prevMeta = null;
     try { prevMeta = JSON.parse(fs.readFileSync(`${REPO_DIR}/meta.json`, 'utf-8')); } catch (_) { }
@@ -445,45 +830,45 @@ async function main() {
         fresh_openers: computeFreshOpeners(prevMeta && prevMeta.fresh_openers)
     };
     fs.writeFileSync(`${REPO_DIR}/meta.json`, JSON.stringify(meta, null, 2) + '\n');
+    rebuildOgCard();
 
-    /* 9. inject static word list + update sitemap */
+    /* 8. inject static word list + stats figures, archive pages and feeds, then the
+       sitemap and robots.txt from whatever pages now exist */
     injectWordList();
+    rebuildStats();
+    rebuildArchive();
+    rebuildFeeds();
     updateSitemap();
 
-    /* 10. commit + push */
-    run('git add words.txt safe.txt prior.txt current.txt meta.json index.html sitemap.xml answers.txt played-dates.json');
-    try {
-        run(`git commit -m "Daily update: ${wordleDate}${newWord ? ' — ' + ' (REDACTED newWord)' : ' (word fetch failed)'}"`);
-    } catch (_) {
-        log('Nothing to commit');
+    /* 9–10. integrity check, commit + push */
+    if (!commitAndPush(`Daily update: ${wordleDate}${newWord ? ' — ' + ' (REDACTED newWord)' : ' (word fetch failed)'}`)) {
+        await sendSummary(`Daily update ${wordleDate}`);
+        log('=== Wordle updater DONE (dry run) ===\n');
+        return;
     }
-    run('git push origin main');
-    log('Pushed ✓');
 
-    /* 11. wait for GitHub Pages to redeploy, then message Discord natively.
-     *  Rendered as a green/red embed under the name "GitHub API" — deliberately
-     *  distinct from the "GitHub" push messages, since this one is posted by us. */
+    /* 11. wait for GitHub Pages to redeploy, then send the run summary */
     const sha = run('git rev-parse HEAD');
     const build = await waitForPagesDeploy(sha);
-    const ok = build.status === 'built';
-    const state = ok ? 'succeeded'
+    const state = build.status === 'built' ? 'succeeded'
         : build.status === 'errored' ? 'failed'
             : `unresolved (${build.status})`;
-    const detail = build.error && build.error.message ? `\n${build.error.message}` : '';
-    const color = ok ? 0x2ea043 : build.status === 'errored' ? 0xd1242f : 0xbf8700;   // green / red / amber
     log(`Deploy status: ${build.status}`);
-    await notifyDiscord({
-        username: 'GitHub API',
-        avatar_url: 'https://github.githubassets.com/images/modules/logos_page/GitHub-Mark.png',
-        embeds: [{
-            title: `${REPO_SLUG} — Pages deploy ${state}`,
-            description: `[\`${sha.slice(0, 7)}\`](https://github.com/${REPO_SLUG}/commit/${sha}) · ${wordleDate}${detail}`,
-            url: `https://github.com/${REPO_SLUG}/deployments`,
-            color
-        }]
-    });
+    if (build.status === 'errored') log(`❌ Pages deploy failed${build.error && build.error.message ? `: ${build.error.message}` : ''}`);
+    else if (build.status !== 'built') log(`⚠️  Pages deploy ${state}`);
+    fact('Commit', sha.slice(0, 7));
+    fact('Deploy', state);
+    await sendSummary(`Daily update ${wordleDate} — deploy ${state}`, { url: `https://github.com/${REPO_SLUG}/commit/${sha}` });
 
     log('=== Wordle updater DONE ===\n');
 }
 
-main().catch(e => { log(`FATAL: ${e.message}\n${e.stack}`); process.exit(1); });
+if (require.main === module) {
+    main().catch(async e => {
+        log(`❌ FATAL: ${e.message}\n${e.stack}`);
+        await sendSummary(`Wordle updater failed${RECHECK ? ' (recheck)' : ''}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main };
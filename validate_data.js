@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/*
+ * validate_data.js
+ * ----------------
+ * Integrity checks for the answer data before anything is committed:
+ *
+ *   answers.txt        every line parses; puzzle numbers run 0..N with no gaps
+ *                      or duplicates; each number's date is launch + N days;
+ *                      a/b mid-day-change entries come in complete pairs; the
+ *                      trailing @ is on exactly the words that occur more than
+ *                      once; every answer is a valid guess in solver-words.txt
+ *   words.txt          sorted, no duplicates, and exactly the set of answers
+ *                      older than the safe window (wordle_date − 3 and before);
+ *                      an "a" word NYT replaced mid-day may be left out
+ *   played-dates.json  identical to what build_played_dates.js would write
+ *   api/v1/answers.json  valid against api/v1/schema.json and identical to
+ *                      what build_feeds.js would write
+ *
+ * Problems are reported as "file:line: message". update_wordle.js runs this
+ * before `git commit` and refuses to push if anything is wrong; run it by hand
+ * with `node validate_data.js` (exit code 1 = problems found).
+ *
+ * This file only reads local data — it never hits the network.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { parseAnswers, dateForNumber, shiftDate } = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+
+function readLines(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split('\n') : null;
+}
+
+function validate(repoDir = REPO_DIR) {
+    const errors = [];
+    const err = (file, line, msg) => errors.push({ file, line, msg });
+
+    /* ── answers.txt ── */
+    const answerLines = readLines(path.join(repoDir, 'answers.txt'));
+    if (!answerLines) {
+        err('answers.txt', 0, 'file missing');
+        return errors;
+    }
+    const { entries, bad } = parseAnswers(answerLines);
+    bad.forEach(b => err('answers.txt', b.line, `unparseable line "${b.text}" (want WORD NUM[a|b] MM/DD/YY[@])`));
+
+    const byNum = new Map();
+    entries.forEach(e => {
+        if (!byNum.has(e.num)) byNum.set(e.num, []);
+        byNum.get(e.num).push(e);
+        if (e.date !== dateForNumber(e.num)) {
+            err('answers.txt', e.line, `#${e.num}${e.suffix} dated ${e.date}, expected ${dateForNumber(e.num)}`);
+        }
+    });
+
+    const maxNum = Math.max(-1, ...byNum.keys());
+    for (let n = 0; n <= maxNum; n++) {
+        const group = byNum.get(n);
+        if (!group) { err('answers.txt', 0, `puzzle #${n} missing`); continue; }
+        const suffixes = group.map(e => e.suffix).sort().join(',');
+        if (suffixes === '') continue;
+        if (suffixes !== 'a,b') {
+            // a lone a/b half, a plain line alongside a pair, or a plain duplicate
+            group.forEach(e => err('answers.txt', e.line,
+                `#${n}${e.suffix} — ${group.length === 1 ? 'a/b entry without its pair' : `${group.length} entries for one puzzle (${suffixes || 'none'} suffixes)`}`));
+        }
+    }
+
+    const counts = {};
+    entries.forEach(e => { counts[e.word] = (counts[e.word] || 0) + 1; });
+    entries.forEach(e => {
+        const repeated = counts[e.word] > 1;
+        if (repeated && !e.repeat) err('answers.txt', e.line, `${e.word} is played ${counts[e.word]} times but has no @ marker`);
+        if (!repeated && e.repeat) err('answers.txt', e.line, `${e.word} has an @ marker but is played only once`);
+    });
+
+    const solverLines = readLines(path.join(repoDir, 'solver-words.txt'));
+    if (!solverLines) {
+        err('solver-words.txt', 0, 'file missing');
+    } else {
+        const guesses = new Set(solverLines.map(w => w.trim().toUpperCase()));
+        entries.forEach(e => {
+            if (!guesses.has(e.word)) err('answers.txt', e.line, `${e.word} is not in solver-words.txt`);
+        });
+    }
+
+    /* ── words.txt: exactly the answers older than the safe window ── */
+    const wordLines = readLines(path.join(repoDir, 'words.txt'));
+    let wordleDate = null;
+    try { wordleDate = JSON.parse(fs.readFileSync(path.join(repoDir, 'meta.json'), 'utf-8')).wordle_date; } catch (_) { }
+    if (!wordLines) {
+        err('words.txt', 0, 'file missing');
+    } else if (!wordleDate) {
+        err('meta.json', 0, 'no wordle_date — cannot work out the safe window for words.txt');
+    } else {
+        const cutoff = shiftDate(wordleDate, -3);
+        const past = entries.filter(e => e.date <= cutoff);
+        const expected = new Set(past.filter(e => e.suffix !== 'a').map(e => e.word));
+        const replaced = new Set(past.filter(e => e.suffix === 'a').map(e => e.word));
+        const seen = new Set();
+        let prev = '';
+        wordLines.forEach((raw, i) => {
+            const w = raw.trim();
+            if (!w) return;
+            if (!/^[A-Z]{5}$/.test(w)) { err('words.txt', i + 1, `"${w}" is not five uppercase letters`); return; }
+            if (seen.has(w)) err('words.txt', i + 1, `${w} listed twice`);
+            else if (w < prev) err('words.txt', i + 1, `${w} out of alphabetical order (after ${prev})`);
+            seen.add(w);
+            prev = w;
+            if (!expected.has(w) && !replaced.has(w)) err('words.txt', i + 1, `${w} is not an answer dated ${cutoff} or earlier`);
+        });
+        expected.forEach(w => {
+            if (!seen.has(w)) {
+                const e = entries.find(x => x.word === w);
+                err('words.txt', 0, `${w} (answers.txt:${e.line}, ${e.date}) missing`);
+            }
+        });
+    }
+
+    /* ── played-dates.json: in sync with answers.txt ── */
+    try {
+        const { compute } = require('./build_played_dates.js');
+        const want = JSON.stringify(compute(repoDir).out);
+        const have = fs.readFileSync(path.join(repoDir, 'played-dates.json'), 'utf-8');
+        if (have !== want) err('played-dates.json', 0, 'out of date with answers.txt — run build_played_dates.js');
+    } catch (e) {
+        err('played-dates.json', 0, e.message);
+    }
+
+    /* ── api/v1/answers.json: schema-valid and in sync with answers.txt ── */
+    try {
+        const { compute, render, checkSchema, API_DIR } = require('./build_feeds.js');
+        const file = `${API_DIR}/answers.json`;
+        const have = fs.readFileSync(path.join(repoDir, file), 'utf-8');
+        const schema = JSON.parse(fs.readFileSync(path.join(repoDir, API_DIR, 'schema.json'), 'utf-8'));
+        checkSchema(JSON.parse(have), schema).slice(0, 10).forEach(msg => err(file, 0, msg));
+        if (have !== render(compute(repoDir))[file]) err(file, 0, 'out of date with answers.txt — run build_feeds.js');
+    } catch (e) {
+        err('api/v1/answers.json', 0, e.message);
+    }
+
+    return errors;
+}
+
+function format(e) {
+    return `${e.file}${e.line ? ':' + e.line : ''}: ${e.msg}`;
+}
+
+if (require.main === module) {
+    const errors = validate(process.argv[2] ? path.resolve(process.argv[2]) : REPO_DIR);
+    errors.forEach(e => console.log(format(e)));
+    console.log(errors.length ? `${errors.length} problem(s) found` : 'All data checks passed');
+    process.exit(errors.length ? 1 : 0);
+}
+
+module.exports = { validate, format };
@@ -0,0 +1,579 @@
+/*
+ * word_logic.js
+ * -------------
+ * The Wordle rules and data handling every page and script shares, in one
+ * place: the timezone gate, Wordle's coloring, board constraints, hard mode,
+ * next-guess scoring, answers.txt parsing, the homepage search syntax and the
+ * hint-card facts.
+ *
+ * Runs unchanged in the browser, the service worker and Node, so it stays
+ * ES5 — syntax and built-ins alike (no padStart, no typed arrays):
+ *
+ *   <script src="/word_logic.js?v=3"></script>      →  window.WordLogic
+ *   const WordLogic = require('./word_logic.js');
+ *
+ * Pure functions only — no fetches, no file reads, no DOM. Callers load the
+ * files and pass their text in. Bump the ?v= on every page's <script> tag
+ * when a function's behavior changes, so a cached copy can't disagree with
+ * freshly served HTML.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.WordLogic = factory();
+}(this, function () {
+    'use strict';
+
+    var COLS = 5;
+    var LAUNCH = Date.UTC(2021, 5, 19);   // Wordle #0
+    var DAY_MS = 86400000;
+    var VOWELS = 'AEIOU';
+    var ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+    /* ── dates ── */
+
+    /* the visitor's (or machine's) local date as YYYY-MM-DD */
+    function localDate(d) {
+        d = d || new Date();
+        return d.getFullYear() + '-' + pad2(d.getMonth() + 1) + '-' + pad2(d.getDate());
+    }
+
+    function pad2(n) { return (n < 10 ? '0' : '') + n; }
+
+    /* YYYY-MM-DD ± n days (UTC arithmetic avoids DST edge cases) */
+    function shiftDate(ymd, n) {
+        var p = ymd.split('-');
+        return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n)).toISOString().split('T')[0];
+    }
+
+    /* puzzle number for a YYYY-MM-DD date: days since #0 (2021-06-19) */
+    function puzzleNumber(ymd) {
+        var p = ymd.split('-');
+        return Math.round((Date.UTC(+p[0], +p[1] - 1, +p[2]) - LAUNCH) / DAY_MS);
+    }
+
+    function dateForNumber(num) {
+        return new Date(LAUNCH + num * DAY_MS).toISOString().split('T')[0];
+    }
+
+    /* MM/DD/YY (answers.txt) → YYYY-MM-DD, or null */
+    function isoDate(mmddyy) {
+        var m = String(mmddyy).match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+        return m ? '20' + m[3] + '-' + m[1] + '-' + m[2] : null;
+    }
+
+    /* ── word files ── */
+
+    /* words.txt / solver-words.txt / current.txt text → uppercase 5-letter words */
+    function wordList(text) {
+        return String(text || '').trim().split('\n')
+            .map(function (w) { return w.trim().toUpperCase(); })
+            .filter(function (w) { return w.length === COLS; });
+    }
+
+    /* answers.txt data lines as { line, word, num, suffix, date, repeat } plus
+     * the lines that don't parse ({ line, text }). suffix is the "a"/"b" of a
+     * mid-day change, repeat the trailing @. */
+    function parseAnswers(lines) {
+        var entries = [], bad = [];
+        lines.forEach(function (raw, i) {
+            var t = raw.trim();
+            if (!t || t.charAt(0) === '#') return;
+            var m = t.match(/^([A-Z]{5})\s+(\d+)([ab]?)\s+(\d{2}\/\d{2}\/\d{2})(@?)$/);
+            var date = m && isoDate(m[4]);
+            if (!m || !date) { bad.push({ line: i + 1, text: t }); return; }
+            entries.push({ line: i + 1, word: m[1], num: parseInt(m[2], 10), suffix: m[3], date: date, repeat: m[5] === '@' });
+        });
+        return { entries: entries, bad: bad };
+    }
+
+    /* ── timezone gate ── */
+
+    /* schedule.json (prefetched by the update job) maps each date to its
+     * answer, so the visitor's own local date picks their puzzle and every
+     * timezone rolls over at its own midnight — no server-side action needed
+     * until the prefetched days run out.
+     * Returns null when there is no usable schedule (caller falls back to the
+     * meta.json gate), else { answer, yesterday, num, past } where past =
+     * every scheduled answer already behind this visitor. answer is null when
+     * the schedule doesn't cover today (runway exhausted or a badly wrong
+     * clock) — degraded, but never the wrong day's word. */
+    function scheduleGate(schedule, today) {
+        if (!schedule || !Array.isArray(schedule.days) || !schedule.days.length) return null;
+        var yesterday = shiftDate(today, -1);
+        var g = { answer: null, yesterday: null, num: null, past: [] };
+        schedule.days.forEach(function (d) {
+            var w = String(d.word || '').trim().toUpperCase();
+            if (w.length !== COLS || !d.date) return;
+            if (d.date < today) g.past.push(w);
+            if (d.date === yesterday) g.yesterday = w;
+            if (d.date === today) { g.answer = w; g.num = d.num; }
+        });
+        return g;
+    }
+
+    /* Which puzzle `today` is on, and which answers are already behind it.
+     *
+     * files = { words, current, prior, safe } as text, plus meta and
+     * schedule as parsed JSON (null when missing).
+     *
+     * Preferred: schedule.json — see scheduleGate.
+     * Fallback: meta.wordle_date = the date (in UTC+14) when current.txt
+     * became active. On or after it the visitor is on the NEW puzzle (answer
+     * = current; prior was played yesterday but isn't folded into words.txt
+     * until the next run, so it counts as played); before it they're still
+     * on yesterday's (answer = prior, which must not be listed).
+     *
+     * Returns { answer, yesterday, num, played, playedBefore, recent, source }:
+     *   played        every past answer this visitor may see, sorted —
+     *                 words.txt + safe + whatever the gate adds
+     *   playedBefore  whether answer is in played; null when answer is null
+     *   recent        [{ word, date }] — played answers newer than
+     *                 answers.txt, so date searches find them too
+     */
+    function resolveGate(files, today) {
+        var played = wordList(files.words);
+        var current = String(files.current || '').trim().toUpperCase();
+        var prior = String(files.prior || '').trim().toUpperCase();
+        var safe = String(files.safe || '').trim().toUpperCase();
+        var meta = files.meta, schedule = files.schedule;
+        var recent = [];
+        var add = function (w) { if (w.length === COLS && played.indexOf(w) === -1) played.push(w); };
+
+        add(safe);   // two days old — always safe to show
+
+        var wordleDate = meta && meta.wordle_date ? meta.wordle_date : today;
+        var gate = scheduleGate(schedule, today);
+        var r = { answer: null, yesterday: null, num: null, source: gate ? 'schedule' : 'meta' };
+
+        if (gate) {
+            gate.past.forEach(add);
+            schedule.days.forEach(function (d) {
+                var w = String(d.word || '').trim().toUpperCase();
+                if (w.length === COLS && d.date && d.date < today) recent.push({ word: w, date: d.date });
+            });
+            r.answer = gate.answer;
+            r.yesterday = gate.yesterday;
+            r.num = gate.num;
+        } else if (today >= wordleDate) {
+            r.answer = current;
+            r.yesterday = prior || null;
+            add(prior);
+            if (prior.length === COLS) recent.push({ word: prior, date: shiftDate(wordleDate, -1) });
+            r.num = puzzleNumber(today);
+        } else {
+            r.answer = prior;
+            r.yesterday = safe || null;
+            r.num = puzzleNumber(today);
+        }
+
+        if (r.answer && r.answer.length !== COLS) r.answer = null;
+        played.sort();
+        r.played = played;
+        r.playedBefore = r.answer ? played.indexOf(r.answer) !== -1 : null;
+        r.recent = recent;
+        return r;
+    }
+
+    /* ── Wordle's coloring (exact duplicate-letter rules) ──
+     *  Greens first, then yellows against the answer's remaining letter
+     *  counts. Returns the five states (0 gray, 1 yellow, 2 green) as one
+     *  number, e.g. 20100 — cheap to compare and to group by.
+     */
+    function feedback(guess, answer) {
+        var res = [0,0,0,0,0], counts = {}, i, ch;
+        for (i = 0; i < 5; i++) {
+            if (guess[i] === answer[i]) res[i] = 2;
+            else { ch = answer[i]; counts[ch] = (counts[ch] || 0) + 1; }
+        }
+        for (i = 0; i < 5; i++) {
+            if (res[i] !== 2 && counts[guess[i]] > 0) { res[i] = 1; counts[guess[i]]--; }
+        }
+        return res[0]*10000 + res[1]*1000 + res[2]*100 + res[3]*10 + res[4];
+    }
+
+    /* feedback() code → [s0..s4] */
+    function patternStates(pat) {
+        return String(pat + 100000).slice(1).split('').map(Number);
+    }
+
+    /* ── board constraints ──
+     *  rows = [{ letters: ['C','R','','',''], st: [2,0,0,0,0] }], top to
+     *  bottom. Complete rows: exact feedback simulation (grays fully
+     *  meaningful). Partial rows: only explicit colors apply — green pins a
+     *  position, yellow requires the letter elsewhere. Gray is the default
+     *  state of a letter just typed, so it only counts once the row is done.
+     */
+    function constraints(rows) {
+        var complete = [], partial = [];
+        rows.forEach(function (row) {
+            var c;
+            if (row.letters.every(function (ch) { return ch; })) {
+                var pat = 0;
+                for (c = 0; c < COLS; c++) pat = pat * 10 + row.st[c];
+                complete.push({ word: row.letters.join(''), pat: pat });
+                return;
+            }
+            for (c = 0; c < COLS; c++) {
+                var ch = row.letters[c];
+                if (ch && row.st[c] === 2) partial.push({ type: 2, c: c, ch: ch });
+                else if (ch && row.st[c] === 1) partial.push({ type: 1, c: c, ch: ch });
+            }
+        });
+        return { complete: complete, partial: partial, hasInput: complete.length > 0 || partial.length > 0 };
+    }
+
+    function matches(w, cons) {
+        var i;
+        for (i = 0; i < cons.complete.length; i++) {
+            if (feedback(cons.complete[i].word, w) !== cons.complete[i].pat) return false;
+        }
+        for (i = 0; i < cons.partial.length; i++) {
+            var p = cons.partial[i];
+            if (p.type === 2) { if (w[p.c] !== p.ch) return false; }
+            else { if (w.indexOf(p.ch) === -1 || w[p.c] === p.ch) return false; }
+        }
+        return true;
+    }
+
+    /* ── hard mode ──
+     *  Wordle's Hard Mode: every green must be played again in the same
+     *  spot, and every revealed letter (green or yellow) must appear in
+     *  later guesses — as many copies as were revealed in one row.
+     */
+
+    /* rules earned by completed rows ({ word, st[] }): pinned[c] = green
+       letter, need[ch] = most copies of ch revealed green/yellow in one row */
+    function hardRules(rows) {
+        var pinned = ['', '', '', '', ''], need = {};
+        rows.forEach(function (row) {
+            var seen = {};
+            for (var c = 0; c < COLS; c++) {
+                if (row.st[c] === 2) pinned[c] = row.word[c];
+                if (row.st[c] > 0) seen[row.word[c]] = (seen[row.word[c]] || 0) + 1;
+            }
+            for (var ch in seen) need[ch] = Math.max(need[ch] || 0, seen[ch]);
+        });
+        return { pinned: pinned, need: need };
+    }
+
+    /* null when `word` is a legal hard-mode guess, else why not (the game's own wording) */
+    function hardViolation(word, rules) {
+        var c, ch;
+        for (c = 0; c < COLS; c++) {
+            if (rules.pinned[c] && word[c] !== rules.pinned[c]) return ORDINALS[c] + ' letter must be ' + rules.pinned[c];
+        }
+        for (ch in rules.need) {
+            var n = 0;
+            for (c = 0; c < COLS; c++) if (word[c] === ch) n++;
+            if (n < rules.need[ch]) return 'Guess must contain ' + (rules.need[ch] > 1 ? rules.need[ch] + '× ' : '') + ch;
+        }
+        return null;
+    }
+
+    /* ── best next guess ──
+     *  A guess splits the still-possible answers into groups by the color
+     *  pattern feedback() would show for each. Whatever the answer, you're
+     *  left with its group, so the expected number of words left is
+     *  Σ size² / N, and the score is the share of N it's expected to rule
+     *  out. Lower expected-left wins; ties go to the more common word
+     *  (guesses arrive most-common-first and the sort is stable).
+     *
+     *  That's N² feedback() calls — over a hundred million when the board
+     *  is nearly empty — so scoringJob() keeps it within a fixed budget:
+     *  past SCORE_SAMPLE candidates an evenly spaced sample stands in for
+     *  the possible answers (the expected-left figure is scaled back up),
+     *  and only as many of the most common candidates are tried as guesses
+     *  as SCORE_BUDGET allows.
+     *
+     *  scoreGuesses() uses nothing but feedback(), so the solver can build
+     *  a Web Worker from the two functions' source.
+     */
+    var SCORE_SAMPLE = 2000, SCORE_BUDGET = 1000000;
+
+    function scoreGuesses(guesses, answers, total, count) {
+        var n = answers.length, scored = [], i, j;
+        var groups = [], seen = [];   /* pattern (as feedback() numbers it) → group size */
+        for (i = 0; i <= 22222; i++) groups.push(0);
+        for (i = 0; i < guesses.length; i++) {
+            var sumSq = 0, pat;
+            seen.length = 0;
+            for (j = 0; j < n; j++) {
+                pat = feedback(guesses[i], answers[j]);
+                if (!groups[pat]++) seen.push(pat);
+            }
+            for (j = 0; j < seen.length; j++) {
+                sumSq += groups[seen[j]] * groups[seen[j]];
+                groups[seen[j]] = 0;
+            }
+            scored.push({ word: guesses[i], left: sumSq / n * (total / n), score: 1 - sumSq / (n * n) });
+        }
+        return scored
+            .sort(function (a, b) { return a.left - b.left; })
+            .slice(0, count);
+    }
+
+    /* scoreGuesses() arguments for a board: `possible` = the words that
+       still fit, `pool` = the guesses worth trying, most common first */
+    function scoringJob(possible, pool) {
+        var answers = possible, step = possible.length / SCORE_SAMPLE, i;
+        if (step > 1) {
+            answers = [];
+            for (i = 0; i < SCORE_SAMPLE; i++) answers.push(possible[Math.floor(i * step)]);
+        }
+        return {
+            guesses: pool.slice(0, Math.floor(SCORE_BUDGET / answers.length)),
+            answers: answers,
+            total: possible.length
+        };
+    }
+
+    /* ── answer odds ──
+     *  How likely each word is to be the answer, from three things the
+     *  archive shows about real answers:
+     *    common   they're everyday words: how much more often past answers
+     *             fall in a word's band of solver-words.txt (most common
+     *             first) than the list's own words do
+     *    pattern  plural-style endings (a single S, ED) are rare; measured
+     *             against the list weighted by `common`, so the two don't
+     *             count the same thing twice
+     *    history  repeats: the played words together get the share of
+     *             answers that were repeats over the last year, and a word
+     *             played sooner than any repeat so far has come back is
+     *             scaled down by how much sooner
+     *  oddsModel(words, history, today): words = solver-words.txt in file
+     *  order, history = WORD → [YYYY-MM-DD …] dates it was the answer, all
+     *  before today. wordOdds(word, model) → { weight, common, pattern,
+     *  history, patterns (matched ODDS_PATTERNS labels), last (date or null) }.
+     */
+    var ODDS_BANDS = [250, 500, 1000, 2000, 3000, 4500, 6500, 9000];   // upper rank of each band
+    var ODDS_PATTERNS = [
+        { label: 'ends in a single S', re: /[^S]S$/ },
+        { label: 'ends in ED', re: /ED$/ }
+    ];
+    var REPEAT_WINDOW = 365;   // days of answers the repeat rate is taken over
+
+    function oddsModel(words, history, today) {
+        var rank = {}, i, b;
+        for (i = 0; i < words.length; i++) if (rank[words[i]] === undefined) rank[words[i]] = i;
+        var list = Object.keys(rank);
+        var answers = Object.keys(history).filter(function (w) { return rank[w] !== undefined && history[w].length; });
+        var band = function (w) {
+            for (var j = 0; j < ODDS_BANDS.length; j++) if (rank[w] < ODDS_BANDS[j]) return j;
+            return ODDS_BANDS.length;
+        };
+
+        var inAnswers = [], inWords = [], common = [];
+        for (b = 0; b <= ODDS_BANDS.length; b++) { inAnswers.push(0); inWords.push(0); }
+        answers.forEach(function (w) { inAnswers[band(w)]++; });
+        list.forEach(function (w) { inWords[band(w)]++; });
+        for (b = 0; b < inWords.length; b++) {
+            common.push(inWords[b] ? ((inAnswers[b] + 1) / (answers.length + inWords.length)) / (inWords[b] / list.length) : 1);
+        }
+
+        var weightSum = 0;
+        list.forEach(function (w) { weightSum += common[band(w)]; });
+        var patterns = ODDS_PATTERNS.map(function (p) {
+            var inA = answers.filter(function (w) { return p.re.test(w); }).length;
+            var inW = 0;
+            list.forEach(function (w) { if (p.re.test(w)) inW += common[band(w)]; });
+            var fa = (inA + 0.5) / (answers.length + 1), fw = (inW + 0.5) / (weightSum + 1);
+            return { label: p.label, re: p.re, yes: fa / fw, no: (1 - fa) / (1 - fw) };
+        });
+
+        /* repeats: last year's rate, and the shortest gap one has come back after */
+        var recent = 0, repeats = 0, minGap = null;
+        Object.keys(history).forEach(function (w) {
+            var dates = history[w].slice().sort();
+            dates.forEach(function (d, k) {
+                if (k > 0) {
+                    var gap = puzzleNumber(d) - puzzleNumber(dates[k - 1]);
+                    if (minGap === null || gap < minGap) minGap = gap;
+                }
+                if (puzzleNumber(today) - puzzleNumber(d) <= REPEAT_WINDOW) {
+                    recent++;
+                    if (k > 0) repeats++;
+                }
+            });
+        });
+        var model = { rank: rank, band: band, common: common, patterns: patterns, played: 1, minGap: minGap, history: history, today: today };
+        var playedSum = 0, freshSum = 0;
+        list.forEach(function (w) {
+            var base = wordOdds(w, model).weight;
+            if (history[w] && history[w].length) playedSum += base; else freshSum += base;
+        });
+        var q = (repeats + 0.5) / (recent + 1);
+        if (playedSum) model.played = q / (1 - q) * freshSum / playedSum;
+        model.cache = {};   // final from here on; the solver asks on every keystroke
+        return model;
+    }
+
+    function wordOdds(word, model) {
+        if (model.cache && model.cache[word]) return model.cache[word];
+        var odds = {
+            common: model.common[model.rank[word] === undefined ? ODDS_BANDS.length : model.band(word)],
+            pattern: 1, history: 1, patterns: [], last: null
+        };
+        model.patterns.forEach(function (p) {
+            if (p.re.test(word)) { odds.pattern *= p.yes; odds.patterns.push(p.label); } else odds.pattern *= p.no;
+        });
+        var dates = model.history[word];
+        if (dates && dates.length) {
+            odds.last = dates.slice().sort()[dates.length - 1];
+            var gap = puzzleNumber(model.today) - puzzleNumber(odds.last);
+            odds.history = model.played * (model.minGap && gap < model.minGap ? Math.max(gap, 1) / model.minGap : 1);
+        }
+        odds.weight = odds.common * odds.pattern * odds.history;
+        if (model.cache) model.cache[word] = odds;
+        return odds;
+    }
+
+    /* `possible` most likely first, as { word, odds (wordOdds()), share of
+       the total odds, group }: group 0 = the few that together hold half
+       the odds, 1 = the rest of the top 90%, 2 = long shots */
+    function rankOdds(possible, model) {
+        var total = 0;
+        var ranked = possible.map(function (w) {
+            var o = wordOdds(w, model);
+            total += o.weight;
+            return { word: w, odds: o };
+        }).sort(function (a, b) {
+            return b.odds.weight - a.odds.weight || (model.rank[a.word] || 0) - (model.rank[b.word] || 0);
+        });
+        var before = 0;
+        ranked.forEach(function (o) {
+            o.share = total ? o.odds.weight / total : 0;
+            o.group = before < 0.5 ? 0 : before < 0.9 ? 1 : 2;
+            before += o.share;
+        });
+        return ranked;
+    }
+
+    /* ── search query ──
+     *  Space-separated terms, every one of which must hold:
+     *    CR           contains "CR" (the plain substring filter)
+     *    C?A?E  S*    pattern for the whole word: ? _ or . is any one
+     *                 letter, * any run of letters
+     *    +RT  -E      contains R and T (+EE = at least two Es) / no E
+     *    #1000-1200   puzzle numbers; #1500, #1500- and #-200 work too
+     *    2024  2024-03  2024-01..2024-06-15
+     *                 played in that year / month / date range
+     *  q must already be uppercase. Number and date terms call plays(word)
+     *  → [{ num, date }]. Returns { test(word), needsDates, bad }; bad is the
+     *  first term that didn't parse, and a query with one matches nothing.
+     */
+    function letterCounts(s) {
+        var n = {};
+        for (var i = 0; i < s.length; i++) n[s[i]] = (n[s[i]] || 0) + 1;
+        return n;
+    }
+
+    function parseQuery(q, plays) {
+        var tests = [], needsDates = false, bad = null;
+        q.split(/\s+/).forEach(function (t) {
+            var m;
+            if (!t || /^[+\-#.]+$/.test(t)) return;   // empty, or still being typed
+            if (/^[A-Z]+$/.test(t)) {
+                tests.push(function (w) { return w.indexOf(t) !== -1; });
+            } else if (/^[A-Z?_.*]+$/.test(t)) {
+                var re = new RegExp('^' + t.replace(/[?_.]/g, '[A-Z]').replace(/\*/g, '[A-Z]*') + '$');
+                tests.push(function (w) { return re.test(w); });
+            } else if ((m = t.match(/^([+-])([A-Z]+)$/))) {
+                var want = letterCounts(m[2]), include = m[1] === '+';
+                tests.push(function (w) {
+                    var have = letterCounts(w);
+                    for (var ch in want) {
+                        if (include ? (have[ch] || 0) < want[ch] : have[ch]) return false;
+                    }
+                    return true;
+                });
+            } else if ((m = t.match(/^#(\d*)(-?)(\d*)$/)) && (m[1] || m[3])) {
+                var lo = m[1] ? +m[1] : 0;
+                var hi = m[3] ? +m[3] : (m[2] ? Infinity : lo);
+                needsDates = true;
+                tests.push(function (w) {
+                    return plays(w).some(function (p) { return p.num >= lo && p.num <= hi; });
+                });
+            } else if ((m = t.match(/^(\d{4}(?:-\d{2}){0,2})?(\.\.)?(\d{4}(?:-\d{2}){0,2})?$/)) && (m[1] || m[3])) {
+                /* partial dates widen to their whole year / month */
+                var from = m[1] ? (m[1] + '-01-01').slice(0, 10) : '';
+                var to = m[3] || (m[2] ? '' : m[1]);
+                to = to ? to + '-12-31'.slice(to.length - 4) : '9999';
+                needsDates = true;
+                tests.push(function (w) {
+                    return plays(w).some(function (p) { return p.date >= from && p.date <= to; });
+                });
+            } else if (!bad) {
+                bad = t;
+            }
+        });
+        return {
+            test: function (w) { return !bad && tests.every(function (f) { return f(w); }); },
+            needsDates: needsDates,
+            bad: bad
+        };
+    }
+
+    /* ── hint facts ──
+     *  What the hint cards reveal about an answer, mildest first:
+     *  { repeat, vowelCount, vowels (distinct, in order), hasY, first, last }.
+     *  Given the past answers as `archive`, also rarest = { letter, share }:
+     *  the answer's letter found in the smallest share of them.
+     */
+    function hintFacts(answer, archive) {
+        var letters = answer.split('');
+        var unique = letters.filter(function (ch, i) { return letters.indexOf(ch) === i; });
+        var facts = {
+            repeat: unique.length < COLS,
+            vowelCount: letters.filter(function (ch) { return VOWELS.indexOf(ch) !== -1; }).length,
+            vowels: unique.filter(function (ch) { return VOWELS.indexOf(ch) !== -1; }),
+            hasY: answer.indexOf('Y') !== -1,
+            first: answer[0],
+            last: answer[COLS - 1],
+            rarest: null
+        };
+        if (archive && archive.length) {
+            unique.forEach(function (ch) {
+                var n = archive.filter(function (w) { return w.indexOf(ch) !== -1; }).length;
+                if (!facts.rarest || n / archive.length < facts.rarest.share) facts.rarest = { letter: ch, share: n / archive.length };
+            });
+        }
+        return facts;
+    }
+
+    /* how long from one YYYY-MM-DD to a later one, roughly:
+       "12 days", "about 5 months", "about 3 years" */
+    function gapText(from, to) {
+        var days = Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / DAY_MS);
+        if (days < 60) return days + (days === 1 ? ' day' : ' days');
+        var months = Math.round(days / 30.44);
+        if (months < 24) return 'about ' + months + ' months';
+        return 'about ' + Math.round(days / 365.25) + ' years';
+    }
+
+    return {
+        COLS: COLS,
+        localDate: localDate,
+        shiftDate: shiftDate,
+        puzzleNumber: puzzleNumber,
+        dateForNumber: dateForNumber,
+        isoDate: isoDate,
+        wordList: wordList,
+        parseAnswers: parseAnswers,
+        scheduleGate: scheduleGate,
+        resolveGate: resolveGate,
+        feedback: feedback,
+        patternStates: patternStates,
+        constraints: constraints,
+        matches: matches,
+        hardRules: hardRules,
+        hardViolation: hardViolation,
+        scoreGuesses: scoreGuesses,
+        scoringJob: scoringJob,
+        oddsModel: oddsModel,
+        wordOdds: wordOdds,
+        rankOdds: rankOdds,
+        parseQuery: parseQuery,
+        hintFacts: hintFacts,
+        gapText: gapText
+    };
+}));
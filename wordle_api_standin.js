@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/*
+ * wordle_api_standin.js
+ * ---------------------
+ * A local stand-in for the NYT answer endpoint, so update_wordle.js can be run
+ * end to end without touching nytimes.com:
+ *
+ *   node wordle_api_standin.js --port=8787 --today=2026-08-24 &
+ *   WORDLELIST_REPO_DIR=. WORDLELIST_API_BASE=http://127.0.0.1:8787 \
+ *       node update_wordle.js --dry-run --date=2026-08-24
+ *
+ * Serves GET /svc/wordle/v2/{YYYY-MM-DD}.json with the same shape as the real
+ * thing: { id, solution, print_date, days_since_launch, editor }.
+ *
+ * Answers come from, in priority order:
+ *   1. --fixtures=DIR  one {YYYY-MM-DD}.json file per date, served verbatim
+ *   2. answers.txt     the canonical history (the b replacement on a/b days)
+ *   3. schedule.json   prefetched days not yet in the history
+ *
+ *   --repo=DIR      read answers.txt / schedule.json from DIR (default: here)
+ *   --port=N        listen port (default 8787)
+ *
+ * Behaviour the updater has to cope with is reproducible too:
+ *   --today=DATE    dates after today + --horizon come back clamped to today's
+ *                   puzzle (print_date ≠ requested), like the real horizon
+ *   --horizon=N     days served past --today (default 1)
+ *   --fail=DATES    comma-separated dates, or "all", that answer HTTP 500
+ *
+ * Unknown dates answer 404. This file never hits the network.
+ */
+'use strict';
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseAnswers, shiftDate } = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+const ROUTE = /^\/svc\/wordle\/v2\/(\d{4}-\d{2}-\d{2})\.json$/;
+
+/* date → { solution, days_since_launch } from answers.txt + schedule.json */
+function loadAnswers(repoDir) {
+    const byDate = {};
+    const histPath = path.join(repoDir, 'answers.txt');
+    if (fs.existsSync(histPath)) {
+        // newest-first file: for an a/b pair the later line is the b word NYT now serves
+        parseAnswers(fs.readFileSync(histPath, 'utf-8').split('\n')).entries.forEach(e => {
+            byDate[e.date] = { solution: e.word.toLowerCase(), days_since_launch: e.num };
+        });
+    }
+    try {
+        const sched = JSON.parse(fs.readFileSync(path.join(repoDir, 'schedule.json'), 'utf-8'));
+        (sched.days || []).forEach(d => {
+            if (!byDate[d.date]) byDate[d.date] = { solution: d.word.toLowerCase(), days_since_launch: d.num };
+        });
+    } catch (_) { }
+    return byDate;
+}
+
+function lookup(date, { fixturesDir, answers }) {
+    if (fixturesDir) {
+        const f = path.join(fixturesDir, `${date}.json`);
+        if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f, 'utf-8'));
+    }
+    const a = answers[date];
+    if (!a) return null;
+    return { id: a.days_since_launch, solution: a.solution, print_date: date,
+             days_since_launch: a.days_since_launch, editor: 'Stand-in' };
+}
+
+/* Returns a listening http.Server. Options mirror the CLI flags. */
+function start({ port = 8787, repoDir = REPO_DIR, fixturesDir = null, today = null, horizon = 1, fail = [] } = {}) {
+    const answers = loadAnswers(repoDir);
+    const failAll = fail.includes('all');
+
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        const m = (req.url || '').split('?')[0].match(ROUTE);
+        if (req.method !== 'GET' || !m) return send(404, { status: 'ERROR', errors: ['Not Found'] });
+
+        const date = m[1];
+        if (failAll || fail.includes(date)) return send(500, { status: 'ERROR', errors: ['Stand-in failure'] });
+
+        // past the horizon the real endpoint clamps instead of failing
+        const served = today && date > shiftDate(today, horizon) ? today : date;
+        const puzzle = lookup(served, { fixturesDir, answers });
+        if (!puzzle) return send(404, { status: 'ERROR', errors: ['Not Found'] });
+        send(200, puzzle);
+    });
+    server.listen(port, '127.0.0.1');
+    return server;
+}
+
+if (require.main === module) {
+    const opt = name => {
+        const a = process.argv.find(x => x.startsWith(`--${name}=`));
+        return a ? a.slice(name.length + 3) : null;
+    };
+    const port = parseInt(opt('port') || '8787', 10);
+    const server = start({
+        port,
+        repoDir: opt('repo') ? path.resolve(opt('repo')) : REPO_DIR,
+        fixturesDir: opt('fixtures') ? path.resolve(opt('fixtures')) : null,
+        today: opt('today'),
+        horizon: parseInt(opt('horizon') || '1', 10),
+        fail: (opt('fail') || '').split(',').filter(Boolean)
+    });
+    server.on('listening', () => console.log(`Wordle API stand-in on http://127.0.0.1:${port}/svc/wordle/v2/{date}.json`));
+}
+
+module.exports = { start };
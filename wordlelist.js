@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/*
+ * wordlelist.js
+ * -------------
+ * The site from the terminal, on the data files in this working copy and
+ * the same rules as the pages (word_logic.js):
+ *
+ *   node wordlelist.js played CRANE [SLATE …]    when a word was the answer
+ *   node wordlelist.js search 'C?A?E +R -T'      past answers, homepage search syntax
+ *   node wordlelist.js solve CRANE:gy... SLOTH:..g.y [--hard] [--no-clue] [--limit=60]
+ *                                                what still fits, most likely first, and
+ *                                                the best next guesses
+ *   node wordlelist.js hint [--level=N|all]      today's hint cards, mildest first
+ *
+ * "Today" is this machine's local date, run through the same timezone gate
+ * as the site, so nothing here names a puzzle someone is still playing
+ * unless asked to: `played` and `search` only see past answers, `solve`
+ * uses today's answer only for the played-before clue, and `hint` shows the
+ * answer only at the last level. A row for `solve` is WORD:PATTERN with one
+ * pattern character per tile — g/2 green, y/1 yellow, anything of . - _ x b 0
+ * gray. Add `alias wordlelist='node /path/to/wordlelist.js'` to use it as a
+ * plain command.
+ *
+ * Exit code 2 on a usage error, 1 when there's nothing to show.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const WL = require('./word_logic.js');
+
+const REPO_DIR = __dirname;
+const PICKS_MIN = 10;          // below this many candidates the list itself is the advice
+const DEFAULT_LIMIT = 60;      // candidates printed by `solve`
+const HINT_CARDS = ['played', 'history', 'repeat', 'vowelcount', 'rarity', 'vowels', 'first', 'last', 'answer'];
+
+class UsageError extends Error { }
+
+/* ── data ── */
+
+function read(name, fallback) {
+    try { return fs.readFileSync(path.join(REPO_DIR, name), 'utf-8'); } catch (_) { return fallback; }
+}
+
+function readJson(name) {
+    try { return JSON.parse(read(name, 'null')); } catch (_) { return null; }
+}
+
+/* today's gate, as the homepage would resolve it on this machine */
+function loadGate() {
+    const words = read('words.txt', null);
+    if (words === null) throw new Error(`no words.txt in ${REPO_DIR}`);
+    return WL.resolveGate({
+        words,
+        current: read('current.txt', ''),
+        prior: read('prior.txt', ''),
+        safe: read('safe.txt', ''),
+        meta: readJson('meta.json'),
+        schedule: readJson('schedule.json')
+    }, WL.localDate());
+}
+
+/* WORD -> [{ num, date, suffix, repeat }] oldest first: answers.txt plus the
+ * days the gate has put behind this machine since */
+function loadPlays(gate) {
+    const byWord = {};
+    const add = (word, p) => {
+        const list = byWord[word] || (byWord[word] = []);
+        if (!list.some(q => q.date === p.date && q.suffix === p.suffix)) list.push(p);
+    };
+    WL.parseAnswers(read('answers.txt', '').split('\n')).entries
+        .forEach(e => add(e.word, { num: e.num, date: e.date, suffix: e.suffix, repeat: e.repeat }));
+    gate.recent.forEach(r => add(r.word, { num: WL.puzzleNumber(r.date), date: r.date, suffix: '', repeat: false }));
+    Object.keys(byWord).forEach(w => byWord[w].sort((a, b) => a.date.localeCompare(b.date)));
+    return byWord;
+}
+
+function prettyDate(ymd) {
+    return new Date(`${ymd}T00:00:00Z`).toLocaleDateString('en-US',
+        { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/* words in rows of `perRow` */
+function columns(words, perRow = 10) {
+    const rows = [];
+    for (let i = 0; i < words.length; i += perRow) rows.push('  ' + words.slice(i, i + perRow).join(' '));
+    return rows.join('\n');
+}
+
+/* ── played ── */
+
+function played(words) {
+    if (!words.length) throw new UsageError('played: give one or more five-letter words');
+    const gate = loadGate();
+    const plays = loadPlays(gate);
+    const guesses = new Set(WL.wordList(read('solver-words.txt', '')));
+    let found = 0;
+    words.forEach((raw, i) => {
+        const word = raw.toUpperCase();
+        if (i) console.log('');
+        if (!/^[A-Z]{5}$/.test(word)) { console.log(`${raw}: not a five-letter word`); return; }
+        const list = plays[word] || [];
+        if (!list.length) {
+            console.log(`${word} has never been a Wordle answer` +
+                (guesses.size && !guesses.has(word) ? ' — and it isn\'t a valid guess either' : '') + '.');
+            return;
+        }
+        found++;
+        const days = list.filter(p => p.suffix !== 'a').length;
+        if (!days) {
+            /* only ever the word NYT swapped out mid-day */
+            console.log(`${word} — never the answer: replaced mid-day on ` +
+                `${list.map(p => `${prettyDate(p.date)} (#${p.num})`).join(' and ')}.`);
+            return;
+        }
+        console.log(`${word} — played ${days === 1 ? 'once' : days === 2 ? 'twice' : `${days} times`}:`);
+        list.forEach(p => {
+            const note = p.suffix === 'a' ? '  (replaced mid-day)' : p.suffix === 'b' ? '  (changed mid-day)' : '';
+            console.log(`  #${String(p.num).padEnd(5)} ${prettyDate(p.date)}${note}`);
+        });
+    });
+    return found ? 0 : 1;
+}
+
+/* ── search ── */
+
+function search(terms) {
+    const raw = terms.join(' ').trim();
+    if (!raw) throw new UsageError('search: give a query — e.g. C?A?E, +RT -E, #1000-1200 or 2024');
+    const gate = loadGate();
+    const plays = loadPlays(gate);
+    /* like the homepage: a mid-day "a" word didn't count for that day */
+    const query = WL.parseQuery(raw.toUpperCase(), w => (plays[w] || []).filter(p => p.suffix !== 'a'));
+    if (query.bad) throw new UsageError(`search: didn't understand "${query.bad}" — try C?A?E, +RT -E, #1000-1200 or 2024`);
+    const hits = gate.played.filter(query.test);
+    console.log(`${hits.length.toLocaleString('en-US')} past answer${hits.length === 1 ? '' : 's'} match "${raw}"`);
+    if (hits.length) console.log(columns(hits));
+    return hits.length ? 0 : 1;
+}
+
+/* ── solve ── */
+
+const TILE = { g: 2, 2: 2, y: 1, 1: 1, '.': 0, '-': 0, _: 0, x: 0, b: 0, 0: 0 };
+
+/* "CRANE:gy..." -> { letters, st, word } */
+function parseRow(arg) {
+    const m = arg.match(/^([a-z]{5})[:=]([^:=]{5})$/i);
+    const st = m && Array.from(m[2].toLowerCase(), ch => TILE[ch]);
+    if (!m || st.some(s => s === undefined)) {
+        throw new UsageError(`solve: "${arg}" should be WORD:PATTERN, e.g. CRANE:gy... (g green, y yellow, . gray)`);
+    }
+    const word = m[1].toUpperCase();
+    return { letters: word.split(''), st, word };
+}
+
+function solve(args, { hard = false, clue = true, limit = DEFAULT_LIMIT } = {}) {
+    const rows = args.map(parseRow);
+    if (!rows.length) throw new UsageError('solve: give at least one row, e.g. CRANE:gy...');
+    const solverWords = WL.wordList(read('solver-words.txt', ''));
+    if (!solverWords.length) throw new Error(`no solver-words.txt in ${REPO_DIR}`);
+
+    if (hard) {
+        rows.forEach((row, i) => {
+            const why = WL.hardViolation(row.word, WL.hardRules(rows.slice(0, i)));
+            if (why) console.log(`⚠️  Row ${i + 1} (${row.word}) isn't allowed in Hard Mode: ${why}`);
+        });
+    }
+
+    const cons = WL.constraints(rows);
+    let possible = solverWords.filter(w => WL.matches(w, cons));
+
+    /* played-before clue, as on the solver page: only the yes/no is used */
+    let out = [];
+    const gate = loadGate();
+    if (clue && gate.playedBefore !== null) {
+        const playedSet = new Set(gate.played);
+        out = possible.filter(w => playedSet.has(w) !== gate.playedBefore);
+        possible = possible.filter(w => playedSet.has(w) === gate.playedBefore);
+        console.log(`Today's clue: the answer ${gate.playedBefore ? 'has been played before' : 'has never been played'}.`);
+    }
+
+    console.log(`${possible.length.toLocaleString('en-US')} word${possible.length === 1 ? '' : 's'} still fit` +
+        (out.length ? ` (${out.length.toLocaleString('en-US')} ruled out by today's clue)` : ''));
+    if (!possible.length) {
+        console.log('No words match that board — double-check the patterns.');
+        return 1;
+    }
+
+    if (possible.length >= PICKS_MIN) {
+        const rules = WL.hardRules(rows);
+        const pool = hard ? possible.filter(w => !WL.hardViolation(w, rules)) : possible;
+        const job = WL.scoringJob(possible, pool);   // solverWords order = most common first
+        const picks = WL.scoreGuesses(job.guesses, job.answers, job.total, 5);
+        console.log('\nBest next guesses:');
+        picks.forEach(p => {
+            const left = p.left < 10 ? p.left.toFixed(1) : Math.round(p.left).toLocaleString('en-US');
+            console.log(`  ${p.word}  rules out ${Math.round(p.score * 100)}%, ~${left} left`);
+        });
+    }
+
+    /* most likely answer first, grouped as on the solver page */
+    const ranked = WL.rankOdds(possible, oddsModel(solverWords, gate));
+    const shown = ranked.slice(0, limit);
+    ODDS_GROUPS.forEach((label, g) => {
+        const group = shown.filter(o => o.group === g);
+        if (!group.length) return;
+        const share = ranked.filter(o => o.group === g).reduce((sum, o) => sum + o.share, 0);
+        console.log(`\n${label} (${oddsPct(share)} of the odds):`);
+        console.log(columns(group.map(o => g < 2 ? `${o.word} ${oddsPct(o.share).padStart(5)}` : o.word), g < 2 ? 6 : 10));
+    });
+    if (possible.length > limit) console.log(`  + ${(possible.length - limit).toLocaleString('en-US')} more (--limit=N to see them)`);
+    return 0;
+}
+
+/* WL.oddsModel on every answer before today (answers.txt + the gate's
+ * recent days; an "a" word was never the answer) */
+const ODDS_GROUPS = ['Most likely', 'Also likely', 'Long shots'];
+
+function oddsModel(solverWords, gate) {
+    const today = WL.localDate();
+    const history = {};
+    const plays = loadPlays(gate);
+    Object.keys(plays).forEach(w => {
+        const dates = plays[w].filter(p => p.suffix !== 'a' && p.date < today).map(p => p.date);
+        if (dates.length) history[w] = dates;
+    });
+    return WL.oddsModel(solverWords, history, today);
+}
+
+function oddsPct(share) {
+    const pct = share * 100;
+    return pct >= 0.95 ? `${Math.round(pct)}%` : pct >= 0.1 ? `${pct.toFixed(1)}%` : '<0.1%';
+}
+
+/* ── hint ── */
+
+function hint({ level = 0 } = {}) {
+    const gate = loadGate();
+    if (!gate.answer) {
+        console.log('No answer on file for today yet — the schedule has run out. Try again after the next update.');
+        return 1;
+    }
+    const today = WL.localDate();
+    const f = WL.hintFacts(gate.answer, gate.played);
+    const vowels = f.vowelCount + (f.vowelCount === 1 ? ' vowel' : ' vowels') + (f.hasY ? ' (plus a Y)' : '');
+    const before = (loadPlays(gate)[gate.answer] || []).filter(p => p.suffix !== 'a' && p.date < today);
+    const times = ['once', 'twice'][before.length - 1] || `${before.length} times`;
+    const pct = f.rarest && `${Math.round(f.rarest.share * 100)}%`;
+    const cards = {
+        played: ['Has today\'s word been played before?', gate.playedBefore ? 'Yes — it\'s a repeat' : 'No — never before'],
+        history: ['How long since it was last the answer?', before.length
+            ? `${times} before, most recently ${WL.gapText(before[before.length - 1].date, today)} earlier`
+            : 'Never — this is its first time'],
+        rarity: ['How common are its letters?', !f.rarest ? 'No earlier answers to compare with'
+            : f.rarest.share < 0.06 ? `At least one rare letter (in only ${pct} of past answers)`
+            : f.rarest.share < 0.15 ? `A less common letter (the rarest is in ${pct} of past answers)`
+            : `All common letters (even the rarest is in ${pct} of past answers)`],
+        repeat: ['Does it have a repeated letter?', f.repeat ? 'Yes — a letter appears more than once' : 'No — all five letters are different'],
+        vowelcount: ['How many of its letters are vowels?', vowels],
+        vowels: ['Which vowels does it contain?', f.vowels.length ? f.vowels.join(' ') : (f.hasY ? 'No A, E, I, O or U — think Y!' : 'No vowels at all!')],
+        first: ['What\'s the first letter?', f.first],
+        last: ['What\'s the last letter?', f.last],
+        answer: ['Today\'s answer', gate.answer]
+    };
+    console.log(`Wordle #${(gate.num != null ? gate.num : WL.puzzleNumber(WL.localDate())).toLocaleString('en-US')} · ${prettyDate(WL.localDate())}\n`);
+    HINT_CARDS.forEach((id, i) => {
+        const [q, a] = cards[id];
+        console.log(`  ${i}. ${q.padEnd(40)} ${i <= level ? a : '(hidden)'}`);
+    });
+    if (level < HINT_CARDS.length - 1) console.log(`\nShow more with --level=${level + 1} (up to ${HINT_CARDS.length - 1}, or --level=all).`);
+    return 0;
+}
+
+/* ── CLI ── */
+
+const USAGE = `Usage:
+  node wordlelist.js played WORD [WORD …]
+  node wordlelist.js search QUERY          (C?A?E, S*, +RT, -E, #1000-1200, 2024-03, 2024..2025)
+  node wordlelist.js solve WORD:PATTERN …  [--hard] [--no-clue] [--limit=N]
+                                           (pattern: g green, y yellow, . gray — e.g. CRANE:gy...)
+  node wordlelist.js hint [--level=0-${HINT_CARDS.length - 1}|all]`;
+
+function main(argv) {
+    const flags = argv.filter(a => a.startsWith('--'));
+    const rest = argv.filter(a => !a.startsWith('--'));
+    const opt = name => { const f = flags.find(a => a.startsWith(`--${name}=`)); return f ? f.slice(name.length + 3) : null; };
+    const [command, ...args] = rest;
+
+    switch (command) {
+        case 'played':
+            return played(args);
+        case 'search':
+            return search(args);
+        case 'solve': {
+            const limit = opt('limit') === null ? DEFAULT_LIMIT : Number(opt('limit'));
+            if (!(limit >= 0)) throw new UsageError('solve: --limit must be a number');
+            return solve(args, { hard: flags.includes('--hard'), clue: !flags.includes('--no-clue'), limit });
+        }
+        case 'hint': {
+            const raw = opt('level') || '0';
+            const level = raw === 'all' ? HINT_CARDS.length - 1 : Number(raw);
+            if (!(level >= 0 && level < HINT_CARDS.length && Number.isInteger(level))) {
+                throw new UsageError(`hint: --level must be 0–${HINT_CARDS.length - 1} or all`);
+            }
+            return hint({ level });
+        }
+        case undefined:
+        case 'help':
+            console.log(USAGE);
+            return command ? 0 : 2;
+        default:
+            throw new UsageError(`unknown command "${command}"`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        process.exit(main(process.argv.slice(2)));
+    } catch (e) {
+        if (e instanceof UsageError) { console.error(`${e.message}\n\n${USAGE}`); process.exit(2); }
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { main, played, search, solve, hint };